@@ -5,19 +5,80 @@
 
 class BlackoutBreaker {
     constructor() {
-        this.processor = new PDFProcessor();
+        // Each document gets its own processor; this one holds the detection settings they all share
+        this.baseProcessor = new PDFProcessor();
+        this.detectionSettings = new DetectionSettings(this.baseProcessor);
+        this.findingsExporter = new FindingsExporter();
         this.documents = new Map(); // Store uploaded documents
         this.currentDocId = null;
         this.currentView = 'split';
         this.highlightedRedaction = null;
+        this.diffFilter = 'all';
+        this.diffSort = 'page';
+        this.candidates = []; // Candidate words for flattened redactions
+        this.redetectTimer = null;
+        this.redetecting = false;
+        this.redetectQueued = false;
+        this.editQueue = Promise.resolve(); // Manual edits are applied one at a time
+        this.exportOptions = { ...this.baseProcessor.exportDefaults }; // Last used, without a page range
+        this.processingCancel = null; // What the processing modal's Cancel button stops, when anything
+        this.uploadQueue = new UploadQueue((job) => this.processFile(job), {
+            onChange: () => this.scheduleQueueRender(),
+            onIdle: (summary) => this.showQueueSummary(summary)
+        });
+        this.queueRenderPending = false; // The queue panel is redrawn at most once per frame
+        this.pageObservers = [];      // Render pages as they scroll into view, one observer per pane
+        this.renderQueue = Promise.resolve(); // Pages are drawn one at a time
+        this.fitMode = null;          // 'width' or 'page' to keep documents fitted to the pane; null for a fixed zoom
+        this.pendingZoom = null;      // Ctrl+wheel zoom waiting for the next frame
+        this.workspaceStore = new WorkspaceStore(); // Documents are kept across reloads
+        this.saveTimers = new Map();  // Pending saves by document id, so a burst of edits is saved once
+        
+        // Display names for PDFProcessor.classifyRedaction results, in class sort order
+        this.leakClassLabels = {
+            'leaked-text': 'Leaked text',
+            'leaked-image': 'Leaked image',
+            'flattened': 'Flattened',
+            'false-positive': 'False positive'
+        };
+        this.auditReport = new AuditReport(this.leakClassLabels);
         
         this.init();
     }
 
     init() {
+        this.editor = new RedactionEditor(document.getElementById('originalViewer'), {
+            onAdd: (pageNum, rect) => this.editRedactions(pageNum, (redactions, processor) =>
+                redactions.concat(processor.createManualRedaction(pageNum, rect))),
+            onUpdate: (pageNum, index, segmentIndex, rect) => this.editRedactions(pageNum, (redactions, processor) =>
+                redactions.map((r, i) => i === index ? processor.moveRedaction(r, rect, segmentIndex) : r)),
+            // Deleting one line of a group keeps the rest of the group
+            onDelete: (pageNum, index, segmentIndex) => this.editRedactions(pageNum, (redactions, processor) =>
+                redactions.flatMap((r, i) => {
+                    if (i !== index) return [r];
+                    const remaining = processor.removeSegment(r, segmentIndex);
+                    return remaining ? [remaining] : [];
+                }))
+        });
+        
         this.setupEventListeners();
         this.setupDragAndDrop();
         this.setupScrollSync();
+        this.setupZoom();
+        this.registerServiceWorker();
+        this.restoreWorkspace();
+    }
+
+    /**
+     * Keep a copy of the app for offline use. Opened straight from disk there is no service worker,
+     * but the app still works since every library is served from this folder.
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Offline support unavailable:', error);
+        });
     }
 
     /**
@@ -50,6 +111,123 @@ class BlackoutBreaker {
             });
         });
         
+        // Diff view filtering and sorting
+        document.getElementById('diffClassFilter').addEventListener('change', (e) => {
+            this.diffFilter = e.target.value;
+            const doc = this.documents.get(this.currentDocId);
+            if (doc) this.renderDiffView(doc);
+        });
+        
+        document.getElementById('diffSort').addEventListener('change', (e) => {
+            this.diffSort = e.target.value;
+            const doc = this.documents.get(this.currentDocId);
+            if (doc) this.renderDiffView(doc);
+        });
+        
+        // Candidate words for flattened redactions
+        document.getElementById('candidatesToggle').addEventListener('click', (e) => {
+            document.getElementById('candidatePanel').classList.toggle('open');
+            e.currentTarget.classList.toggle('active');
+        });
+        
+        document.getElementById('loadCandidatesBtn').addEventListener('click', () => {
+            document.getElementById('candidateFile').click();
+        });
+        
+        document.getElementById('candidateFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            document.getElementById('candidateInput').value = await file.text();
+            this.setCandidates(document.getElementById('candidateInput').value, /\.csv$/i.test(file.name));
+        });
+        
+        document.getElementById('applyCandidatesBtn').addEventListener('click', () => {
+            this.setCandidates(document.getElementById('candidateInput').value, false);
+        });
+        
+        // Findings export
+        document.getElementById('exportToggle').addEventListener('click', (e) => {
+            document.getElementById('exportPanel').classList.toggle('open');
+            e.currentTarget.classList.toggle('active');
+        });
+        
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportFindings('json'));
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportFindings('csv'));
+        document.getElementById('exportReportBtn').addEventListener('click', () => this.exportFindings('html'));
+        
+        // Detection settings
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.renderSettingsPanel();
+            document.getElementById('settingsModal').classList.add('active');
+        });
+        
+        document.getElementById('closeSettingsBtn').addEventListener('click', () => {
+            document.getElementById('settingsModal').classList.remove('active');
+        });
+        
+        document.getElementById('settingsModal').addEventListener('click', (e) => {
+            if (e.target.id === 'settingsModal') e.target.classList.remove('active');
+        });
+        
+        document.getElementById('presetSelect').addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.detectionSettings.loadPreset(e.target.value);
+            this.renderSettingsPanel();
+            this.scheduleRedetect();
+        });
+        
+        document.getElementById('savePresetBtn').addEventListener('click', () => {
+            const name = document.getElementById('presetName').value;
+            try {
+                this.detectionSettings.savePreset(name);
+                document.getElementById('presetName').value = '';
+                this.renderSettingsPanel();
+                this.showToast(`Saved preset: ${name.trim()}`, 'success');
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
+        });
+        
+        document.getElementById('deletePresetBtn').addEventListener('click', () => {
+            const name = document.getElementById('presetSelect').value;
+            if (!this.detectionSettings.userPresets.some(p => p.name === name)) {
+                this.showToast('Built-in presets cannot be deleted', 'error');
+                return;
+            }
+            this.detectionSettings.deletePreset(name);
+            this.renderSettingsPanel();
+            this.showToast(`Deleted preset: ${name}`, 'info');
+        });
+        
+        document.getElementById('exportPresetsBtn').addEventListener('click', () => {
+            if (this.detectionSettings.userPresets.length === 0) {
+                this.showToast('Save a preset before exporting', 'error');
+                return;
+            }
+            const blob = new Blob([this.detectionSettings.exportPresets()], { type: 'application/json' });
+            this.saveBlob(blob, 'blackout-breaker-presets.json');
+        });
+        
+        document.getElementById('importPresetsBtn').addEventListener('click', () => {
+            document.getElementById('presetFile').click();
+        });
+        
+        document.getElementById('presetFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                const count = this.detectionSettings.importPresets(await file.text());
+                this.renderSettingsPanel();
+                this.showToast(`Imported ${count} preset(s)`, 'success');
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
+        });
+        
         // Search
         document.getElementById('searchInput').addEventListener('input', (e) => {
             this.filterDocuments(e.target.value);
@@ -58,6 +236,8 @@ class BlackoutBreaker {
         // Zoom controls
         document.getElementById('zoomIn').addEventListener('click', () => this.zoom(0.25));
         document.getElementById('zoomOut').addEventListener('click', () => this.zoom(-0.25));
+        document.getElementById('fitWidthBtn').addEventListener('click', () => this.setFitMode('width'));
+        document.getElementById('fitPageBtn').addEventListener('click', () => this.setFitMode('page'));
         
         // Page navigation
         document.getElementById('prevPage').addEventListener('click', () => this.navigatePage(-1));
@@ -66,8 +246,60 @@ class BlackoutBreaker {
             this.goToPage(parseInt(e.target.value));
         });
         
+        // Manual redaction editing
+        document.getElementById('editModeBtn').addEventListener('click', () => this.toggleEditMode());
+        document.getElementById('undoBtn').addEventListener('click', () => this.undoEdit());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redoEdit());
+        
         // Download
-        document.getElementById('downloadBtn').addEventListener('click', () => this.downloadFixed());
+        document.getElementById('downloadBtn').addEventListener('click', () => this.openExportDialog());
+        document.getElementById('annotatedBtn').addEventListener('click', () => this.downloadAnnotated());
+        document.getElementById('downloadAllBtn').addEventListener('click', () => this.downloadAll());
+        
+        document.getElementById('cancelProcessingBtn').addEventListener('click', () => {
+            if (this.processingCancel) this.processingCancel();
+        });
+        
+        // Upload queue
+        const concurrencyInput = document.getElementById('uploadConcurrency');
+        concurrencyInput.max = this.uploadQueue.maxConcurrency;
+        concurrencyInput.value = this.uploadQueue.concurrency;
+        concurrencyInput.addEventListener('change', () => {
+            this.uploadQueue.setConcurrency(concurrencyInput.value);
+            concurrencyInput.value = this.uploadQueue.concurrency;
+        });
+        
+        document.getElementById('cancelAllUploadsBtn').addEventListener('click', () => this.uploadQueue.cancelAll());
+        document.getElementById('retryFailedUploadsBtn').addEventListener('click', () => this.uploadQueue.retryFailed());
+        document.getElementById('clearUploadsBtn').addEventListener('click', () => this.uploadQueue.clearFinished());
+        document.getElementById('uploadReportBtn').addEventListener('click', () => {
+            const blob = new Blob([this.uploadQueue.toCsv()], { type: 'text/csv' });
+            this.saveBlob(blob, 'upload-report.csv');
+        });
+        
+        document.getElementById('uploadQueueList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const id = Number(button.dataset.id);
+            if (button.dataset.action === 'cancel') this.uploadQueue.cancel(id);
+            else if (button.dataset.action === 'retry') this.uploadQueue.retry(id);
+        });
+        
+        // Export options
+        document.getElementById('closeExportBtn').addEventListener('click', () => {
+            document.getElementById('exportModal').classList.remove('active');
+        });
+        
+        document.getElementById('exportModal').addEventListener('click', (e) => {
+            if (e.target.id === 'exportModal') e.target.classList.remove('active');
+        });
+        
+        document.getElementById('exportFormat').addEventListener('change', (e) => {
+            document.getElementById('exportQuality').disabled = e.target.value === 'png';
+        });
+        
+        document.getElementById('exportConfirmBtn').addEventListener('click', () => this.confirmExport());
         
         // Resize handle
         this.setupResizeHandle();
@@ -150,6 +382,43 @@ class BlackoutBreaker {
         });
     }
 
+    /**
+     * Set up Ctrl+wheel zoom on both panes, and keep fitted documents fitted when the window resizes
+     */
+    setupZoom() {
+        // Trackpad pinches arrive as Ctrl+wheel too; steps are gathered and applied once per frame
+        ['originalViewer', 'fixedViewer'].forEach(id => {
+            document.getElementById(id).addEventListener('wheel', (e) => {
+                if (!e.ctrlKey) return;
+                e.preventDefault();
+                
+                const doc = this.documents.get(this.currentDocId);
+                if (!doc) return;
+                
+                const pending = this.pendingZoom === null;
+                this.pendingZoom = (this.pendingZoom || doc.processor.getScale()) * Math.exp(-e.deltaY * 0.002);
+                if (!pending) return;
+                
+                requestAnimationFrame(() => {
+                    const scale = this.pendingZoom;
+                    this.pendingZoom = null;
+                    this.setFitMode(null);
+                    this.setZoom(scale);
+                });
+            }, { passive: false });
+        });
+        
+        let resizeFrame = null;
+        window.addEventListener('resize', () => {
+            if (!this.fitMode || resizeFrame) return;
+            resizeFrame = requestAnimationFrame(() => {
+                resizeFrame = null;
+                const doc = this.documents.get(this.currentDocId);
+                if (doc && this.fitMode) this.setZoom(this.getFitScale(doc, this.fitMode));
+            });
+        });
+    }
+
     /**
      * Update page indicator based on scroll position
      */
@@ -215,7 +484,21 @@ class BlackoutBreaker {
      * Handle keyboard shortcuts
      */
     handleKeyboard(e) {
-        if (document.activeElement.tagName === 'INPUT') return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)) return;
+        
+        // Undo/redo manual redaction edits
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    this.redoEdit();
+                } else {
+                    this.undoEdit();
+                }
+            }
+            return;
+        }
         
         switch (e.key) {
             case 'ArrowLeft':
@@ -230,13 +513,20 @@ class BlackoutBreaker {
             case 'd':
                 this.switchView('diff');
                 break;
+            case 'e':
+                this.toggleEditMode();
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.editor.deleteSelected();
+                break;
         }
     }
 
     /**
      * Handle single/multiple file upload
      */
-    async handleFileUpload(files) {
+    handleFileUpload(files) {
         const pdfFiles = Array.from(files).filter(f => f.type === 'application/pdf' || f.name.endsWith('.pdf'));
         
         if (pdfFiles.length === 0) {
@@ -244,9 +534,7 @@ class BlackoutBreaker {
             return;
         }
         
-        for (const file of pdfFiles) {
-            await this.processFile(file);
-        }
+        this.queueFiles(pdfFiles);
     }
 
     /**
@@ -262,52 +550,168 @@ class BlackoutBreaker {
         
         this.showToast(`Found ${pdfFiles.length} PDF files`, 'info');
         
-        for (const file of pdfFiles) {
-            await this.processFile(file);
-        }
+        this.queueFiles(pdfFiles);
     }
 
     /**
-     * Process a single PDF file
+     * Add files to the upload queue; a file uploaded on its own is opened once it's loaded
      */
-    async processFile(file) {
+    queueFiles(files) {
+        const jobs = this.uploadQueue.add(files);
+        if (jobs.length === 1) jobs[0].open = true;
+    }
+
+    /**
+     * Load one queued PDF file and add it to the documents; errors are left for the queue to record
+     */
+    async processFile(job) {
+        const { file } = job;
         const docId = this.generateDocId(file.name);
         
-        // Show processing modal
-        this.showProcessingModal(true, 'Loading PDF...');
+        const processor = this.createProcessor();
+        job.abort = () => processor.cancel();
+        job.message = 'Reading file...';
         
+        let result;
         try {
-            this.updateProcessingStatus('Analyzing document...');
-            const result = await this.processor.loadPdf(file);
-            
-            this.updateProcessingStatus('Detecting redactions...');
-            
-            // Store document data
-            const docData = {
-                id: docId,
-                name: file.name,
-                file: file,
-                numPages: result.numPages,
-                pages: result.pages,
-                redactions: result.redactions,
-                isFixed: false,
-                dateAdded: new Date()
-            };
-            
-            this.documents.set(docId, docData);
-            
-            // Update UI
-            this.updateFileList();
+            result = await processor.loadPdf(file, (pageNum, numPages) => {
+                job.progress = pageNum / numPages;
+                job.message = `Page ${pageNum} / ${numPages}`;
+                this.uploadQueue.update(job);
+            });
+        } catch (error) {
+            // Failed or cancelled: free the parsed file and its pdf.js worker before the queue records it
+            processor.close().catch(() => {});
+            throw error;
+        }
+        
+        // Store document data
+        const docData = {
+            id: docId,
+            name: file.name,
+            path: file.webkitRelativePath || file.name, // Path inside an uploaded folder
+            file: file,
+            processor: processor, // Parsed PDF and detection state for this file only
+            numPages: result.numPages,
+            pages: result.pages,
+            redactions: result.redactions,
+            recoveredImages: result.recoveredImages,
+            isFixed: false,
+            history: { undo: [], redo: [] }, // Manual redaction edits
+            dateAdded: new Date()
+        };
+        
+        this.documents.set(docId, docData);
+        this.saveDocument(docData);
+        
+        // Update UI; a batch opens its first document and leaves later ones in the sidebar
+        this.updateFileList();
+        if (job.open || !this.currentDocId) {
             this.selectDocument(docId);
-            
-            this.showProcessingModal(false);
+        }
+        
+        if (job.open) {
             this.showToast(`Loaded: ${file.name} (${result.redactions.length} redactions found)`, 'success');
-            
-        } catch (error) {
-            console.error('Error processing PDF:', error);
-            this.showProcessingModal(false);
-            this.showToast(`Error loading ${file.name}`, 'error');
         }
+        
+        return result;
+    }
+
+    /**
+     * Redraw the upload queue on the next frame, however many jobs changed before it
+     */
+    scheduleQueueRender() {
+        if (this.queueRenderPending) return;
+        
+        this.queueRenderPending = true;
+        requestAnimationFrame(() => {
+            this.queueRenderPending = false;
+            this.renderUploadQueue();
+        });
+    }
+
+    /**
+     * Render the upload queue panel: a summary line and one row per file with its status
+     */
+    renderUploadQueue() {
+        const panel = document.getElementById('uploadQueue');
+        const summary = this.uploadQueue.getSummary();
+        panel.classList.toggle('active', summary.total > 0);
+        
+        const counts = [
+            summary.processing && `${summary.processing} loading`,
+            summary.queued && `${summary.queued} queued`,
+            summary.done && `${summary.done} done`,
+            summary.failed && `${summary.failed} failed`,
+            summary.cancelled && `${summary.cancelled} cancelled`
+        ].filter(Boolean);
+        document.getElementById('uploadQueueSummary').textContent = counts.join(' • ');
+        
+        document.getElementById('cancelAllUploadsBtn').disabled = summary.queued + summary.processing === 0;
+        document.getElementById('retryFailedUploadsBtn').disabled = summary.failed === 0;
+        document.getElementById('clearUploadsBtn').disabled = summary.done + summary.failed + summary.cancelled === 0;
+        
+        const icons = {
+            queued: 'fa-clock',
+            processing: 'fa-spinner fa-spin',
+            done: 'fa-check',
+            failed: 'fa-triangle-exclamation',
+            cancelled: 'fa-ban'
+        };
+        
+        document.getElementById('uploadQueueList').innerHTML = this.uploadQueue.jobs.map(job => {
+            let status;
+            if (job.status === 'queued') status = 'Queued';
+            else if (job.status === 'processing') status = job.message;
+            else if (job.status === 'done') status = `${job.result.numPages} pages • ${job.result.redactions.length} redactions`;
+            else if (job.status === 'failed') status = job.error;
+            else status = 'Cancelled';
+            
+            let action = '';
+            if (job.status === 'queued' || job.status === 'processing') {
+                action = `<button class="control-btn" data-action="cancel" data-id="${job.id}" title="Cancel"><i class="fas fa-times"></i></button>`;
+            } else if (job.status === 'failed' || job.status === 'cancelled') {
+                action = `<button class="control-btn" data-action="retry" data-id="${job.id}" title="Retry"><i class="fas fa-rotate-right"></i></button>`;
+            }
+            
+            const path = this.uploadQueue.getPath(job.file);
+            return `
+                <div class="queue-item ${job.status}">
+                    <i class="fas ${icons[job.status]} queue-icon"></i>
+                    <div class="queue-info">
+                        <div class="queue-name" title="${this.escapeHtml(path)}">${this.escapeHtml(job.file.name)}</div>
+                        <div class="queue-status">${this.escapeHtml(status)}</div>
+                        ${job.status === 'processing' ? `<div class="queue-progress"><div class="progress-fill" style="width: ${Math.round(job.progress * 100)}%"></div></div>` : ''}
+                    </div>
+                    ${action}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Sum up the queue once nothing is loading; a single loaded file already has its own toast
+     */
+    showQueueSummary(summary) {
+        if (summary.total === 1 && summary.done === 1) return;
+        
+        const parts = [`${summary.done} of ${summary.total} loaded`];
+        if (summary.failed) parts.push(`${summary.failed} failed`);
+        if (summary.cancelled) parts.push(`${summary.cancelled} cancelled`);
+        if (summary.queued) parts.push(`${summary.queued} waiting`);
+        
+        const type = summary.failed ? 'error' : summary.cancelled ? 'info' : 'success';
+        this.showToast(`Upload finished: ${parts.join(', ')}`, type);
+    }
+
+    /**
+     * Create a processor for a new document; detection settings are shared so tuning applies to every file
+     */
+    createProcessor() {
+        const processor = new PDFProcessor();
+        processor.settings = this.baseProcessor.settings;
+        processor.fillProfiles = this.baseProcessor.fillProfiles;
+        return processor;
     }
 
     /**
@@ -317,6 +721,241 @@ class BlackoutBreaker {
         return `doc_${Date.now()}_${filename.replace(/[^a-zA-Z0-9]/g, '_')}`;
     }
 
+    /**
+     * Load the documents saved in the last session with their findings, edits, and fixed state,
+     * without detecting anything again
+     */
+    async restoreWorkspace() {
+        try {
+            const records = await this.workspaceStore.loadAll();
+            if (records.length > 0) {
+                await this.restoreRecords(records);
+            }
+        } catch (error) {
+            console.error('Error restoring the workspace:', error);
+            this.showToast('Could not restore the saved workspace', 'error');
+        }
+        
+        this.updateStorageUsage();
+    }
+
+    /**
+     * Rebuild saved documents one at a time behind the processing modal. Cancelling keeps the
+     * documents restored so far; the rest stay saved and come back on the next visit.
+     */
+    async restoreRecords(records) {
+        let cancelled = false;
+        let processor = null;
+        let restored = 0;
+        let failed = 0;
+        
+        this.showProcessingModal(true, '', 'Restoring workspace...');
+        this.setProcessingProgress(0);
+        this.setProcessingCancel(() => {
+            cancelled = true;
+            if (processor) processor.cancel();
+        });
+        
+        try {
+            for (let i = 0; i < records.length && !cancelled; i++) {
+                const record = records[i];
+                this.updateProcessingStatus(`${i + 1} of ${records.length}: ${record.name}`);
+                
+                processor = this.createProcessor();
+                processor.fileName = record.name;
+                processor.scale = record.scale;
+                
+                try {
+                    const result = await processor.restoreDocument(record.data, record.pages);
+                    
+                    this.documents.set(record.id, {
+                        id: record.id,
+                        name: record.name,
+                        path: record.path,
+                        file: new File([record.data], record.name, { type: 'application/pdf' }),
+                        processor: processor,
+                        numPages: result.numPages,
+                        pages: result.pages,
+                        redactions: result.redactions,
+                        recoveredImages: result.recoveredImages,
+                        isFixed: record.isFixed,
+                        history: record.history,
+                        dateAdded: record.dateAdded
+                    });
+                    restored++;
+                } catch (error) {
+                    processor.close().catch(() => {});
+                    
+                    // Keep the record; a later version may be able to read it
+                    if (error.name !== 'AbortError') {
+                        console.warn(`Could not restore ${record.name}:`, error);
+                        failed++;
+                    }
+                }
+                
+                this.setProcessingProgress((i + 1) / records.length);
+            }
+        } finally {
+            this.showProcessingModal(false);
+            this.updateFileList();
+            if (!this.currentDocId && this.documents.size > 0) {
+                this.selectDocument(this.documents.keys().next().value);
+            }
+        }
+        
+        let message = `Restored ${restored} document${restored === 1 ? '' : 's'}`;
+        if (failed > 0) message += ` (${failed} could not be read)`;
+        if (cancelled) message += `; ${records.length - restored - failed} more will be restored next time`;
+        this.showToast(message, failed > 0 ? 'error' : cancelled ? 'info' : 'success');
+    }
+
+    /**
+     * Save a document, its findings, and its review state, so it is still here after a reload
+     */
+    async saveDocument(doc) {
+        clearTimeout(this.saveTimers.get(doc.id));
+        this.saveTimers.delete(doc.id);
+        
+        try {
+            await this.workspaceStore.save({
+                id: doc.id,
+                name: doc.name,
+                path: doc.path,
+                data: doc.processor.pdfData,
+                numPages: doc.numPages,
+                scale: doc.processor.getScale(),
+                pages: await doc.processor.serializePages(),
+                isFixed: doc.isFixed,
+                history: doc.history,
+                dateAdded: doc.dateAdded
+            });
+            
+            // Forgotten while it was being saved
+            if (this.documents.get(doc.id) !== doc) {
+                await this.workspaceStore.delete(doc.id);
+            }
+        } catch (error) {
+            // Forgotten while it was being saved, and closed under the save
+            if (this.documents.get(doc.id) !== doc) return;
+            
+            console.error(`Error saving ${doc.name}:`, error);
+            this.showToast(error.name === 'QuotaExceededError'
+                ? `Not enough storage to keep ${doc.name} after a reload`
+                : `Could not save ${doc.name} for the next session`, 'error');
+        }
+        
+        this.updateStorageUsage();
+    }
+
+    /**
+     * Save a document once its edits settle
+     */
+    scheduleSave(doc) {
+        clearTimeout(this.saveTimers.get(doc.id));
+        this.saveTimers.set(doc.id, setTimeout(() => this.saveDocument(doc), 1000));
+    }
+
+    /**
+     * Remove a document from the workspace and from storage
+     */
+    async forgetDocument(docId) {
+        const doc = this.documents.get(docId);
+        if (!doc) return;
+        
+        clearTimeout(this.saveTimers.get(docId));
+        this.saveTimers.delete(docId);
+        this.documents.delete(docId);
+        
+        if (docId === this.currentDocId) {
+            this.currentDocId = null;
+            const next = this.documents.keys().next();
+            if (next.done) {
+                this.clearDocumentView();
+            } else {
+                this.selectDocument(next.value);
+            }
+        }
+        this.updateFileList();
+        
+        // Free pdf.js's copy of the file and its worker
+        doc.processor.close().catch(error => console.warn(`Error closing ${doc.name}:`, error));
+        
+        try {
+            await this.workspaceStore.delete(docId);
+        } catch (error) {
+            console.error(`Error removing ${doc.name} from storage:`, error);
+            this.showToast(`Could not remove ${doc.name} from storage`, 'error');
+        }
+        
+        this.updateStorageUsage();
+    }
+
+    /**
+     * Put both panes and the diff view back to their empty state once no document is left
+     */
+    clearDocumentView() {
+        this.pageObservers.forEach(observer => observer.disconnect());
+        this.pageObservers = [];
+        
+        document.getElementById('originalViewer').innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-file-pdf"></i>
+                <p>Upload a PDF to view</p>
+            </div>
+        `;
+        document.getElementById('fixedViewer').innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-magic"></i>
+                <p>Fixed version will appear here</p>
+            </div>
+        `;
+        document.getElementById('diffContent').innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-code-compare"></i>
+                <p>Upload a document to view redaction locations</p>
+            </div>
+        `;
+        
+        this.updateEditControls(null);
+        document.getElementById('diffFilename').textContent = 'No file selected';
+        document.getElementById('totalPages').textContent = 0;
+        document.getElementById('currentPage').value = 1;
+        document.getElementById('redactionCount').textContent = '0 redactions detected';
+        document.getElementById('redactionsCountDiff').textContent = 0;
+    }
+
+    /**
+     * Show how much space the saved workspace takes, when the browser can tell
+     */
+    async updateStorageUsage() {
+        const indicator = document.getElementById('storageUsage');
+        const usage = await this.workspaceStore.getUsage();
+        const available = usage && await this.workspaceStore.open();
+        
+        indicator.classList.toggle('active', !!available);
+        if (!available) return;
+        
+        const share = usage.quota > 0 ? usage.usage / usage.quota : 0;
+        document.getElementById('storageUsageText').textContent =
+            `${this.formatBytes(usage.usage)} of ${this.formatBytes(usage.quota)} used`;
+        indicator.querySelector('.progress-fill').style.width = `${Math.min(100, share * 100)}%`;
+        indicator.classList.toggle('warning', share > 0.8);
+    }
+
+    /**
+     * A byte count in the largest unit that keeps it above 1
+     */
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+    }
+
     /**
      * Update the file list in sidebar
      */
@@ -332,16 +971,20 @@ class BlackoutBreaker {
                 </div>
             `;
         } else {
-            fileTree.innerHTML = docs.map(doc => `
-                <div class="file-item ${doc.id === this.currentDocId ? 'active' : ''}" data-id="${doc.id}">
-                    <i class="fas fa-file-pdf file-icon"></i>
-                    <div class="file-info">
-                        <div class="file-name">${doc.name}</div>
-                        <div class="file-meta">${doc.numPages} pages • ${doc.redactions.length} redactions</div>
+            fileTree.innerHTML = docs.map(doc => {
+                const annotationCount = doc.redactions.filter(r => r.detector === 'annotation').length;
+                return `
+                    <div class="file-item ${doc.id === this.currentDocId ? 'active' : ''}" data-id="${doc.id}">
+                        <i class="fas fa-file-pdf file-icon"></i>
+                        <div class="file-info">
+                            <div class="file-name">${doc.name}</div>
+                            <div class="file-meta">${doc.numPages} pages • ${doc.redactions.length} redactions${annotationCount > 0 ? ` (${annotationCount} annotation)` : ''}</div>
+                        </div>
+                        ${doc.isFixed ? '<span class="status-badge fixed">Fixed</span>' : '<span class="status-badge pending">Pending</span>'}
+                        <button class="forget-btn" data-forget="${doc.id}" title="Forget this document"><i class="fas fa-trash"></i></button>
                     </div>
-                    ${doc.isFixed ? '<span class="status-badge fixed">Fixed</span>' : '<span class="status-badge pending">Pending</span>'}
-                </div>
-            `).join('');
+                `;
+            }).join('');
             
             // Add click handlers
             fileTree.querySelectorAll('.file-item').forEach(item => {
@@ -349,6 +992,13 @@ class BlackoutBreaker {
                     this.selectDocument(item.dataset.id);
                 });
             });
+            
+            fileTree.querySelectorAll('.forget-btn').forEach(button => {
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.forgetDocument(button.dataset.forget);
+                });
+            });
         }
         
         // Update counts
@@ -366,6 +1016,13 @@ class BlackoutBreaker {
         
         this.currentDocId = docId;
         
+        // Fit modes apply to every document, starting from its first page
+        if (this.fitMode) {
+            doc.processor.setScale(this.getFitScale(doc, this.fitMode, 1));
+            doc.pages = doc.processor.pages;
+            doc.redactions = doc.processor.redactions;
+        }
+        
         // Update active state in file list
         document.querySelectorAll('.file-item').forEach(item => {
             item.classList.toggle('active', item.dataset.id === docId);
@@ -379,6 +1036,7 @@ class BlackoutBreaker {
         
         // Update header info
         document.getElementById('diffFilename').textContent = doc.name;
+        document.getElementById('zoomLevel').textContent = this.formatZoom(doc.processor.getScale());
         document.getElementById('redactionCount').textContent = `${doc.redactions.length} redactions detected`;
         document.getElementById('redactionsCountDiff').textContent = doc.redactions.length;
     }
@@ -399,18 +1057,11 @@ class BlackoutBreaker {
                 const pageWrapper = document.createElement('div');
                 pageWrapper.className = 'page-wrapper';
                 pageWrapper.dataset.page = page.pageNum;
+                pageWrapper.dataset.kind = 'original';
                 pageWrapper.style.position = 'relative';
                 
-                const canvas = page.originalCanvas;
-                const clonedCanvas = canvas.cloneNode(true);
-                clonedCanvas.style.maxWidth = '100%';
-                clonedCanvas.style.height = 'auto';
-                
-                // Draw the actual canvas content
-                const ctx = clonedCanvas.getContext('2d');
-                ctx.drawImage(canvas, 0, 0);
-                
-                pageWrapper.appendChild(clonedCanvas);
+                // Drawn when it scrolls into view
+                pageWrapper.appendChild(this.createPagePlaceholder(page));
                 
                 // Add redaction highlight overlays
                 const highlightsContainer = document.createElement('div');
@@ -424,20 +1075,24 @@ class BlackoutBreaker {
                     pointer-events: none;
                 `;
                 
+                // One highlight per line, so a multi-line block isn't drawn as one big box
                 page.redactions.forEach((redaction, rIndex) => {
-                    const highlight = document.createElement('div');
-                    highlight.className = 'redaction-highlight';
-                    highlight.dataset.redactionIndex = rIndex;
-                    highlight.dataset.page = page.pageNum;
-                    // Use percentage positioning for responsiveness
-                    highlight.style.cssText = `
-                        position: absolute;
-                        left: ${(redaction.x / page.width) * 100}%;
-                        top: ${(redaction.y / page.height) * 100}%;
-                        width: ${(redaction.width / page.width) * 100}%;
-                        height: ${(redaction.height / page.height) * 100}%;
-                    `;
-                    highlightsContainer.appendChild(highlight);
+                    redaction.segments.forEach((segment, sIndex) => {
+                        const highlight = document.createElement('div');
+                        highlight.className = 'redaction-highlight';
+                        highlight.dataset.redactionIndex = rIndex;
+                        highlight.dataset.segmentIndex = sIndex;
+                        highlight.dataset.page = page.pageNum;
+                        // Use percentage positioning for responsiveness
+                        highlight.style.cssText = `
+                            position: absolute;
+                            left: ${(segment.x / page.width) * 100}%;
+                            top: ${(segment.y / page.height) * 100}%;
+                            width: ${(segment.width / page.width) * 100}%;
+                            height: ${(segment.height / page.height) * 100}%;
+                        `;
+                        highlightsContainer.appendChild(highlight);
+                    });
                 });
                 
                 pageWrapper.appendChild(highlightsContainer);
@@ -456,6 +1111,7 @@ class BlackoutBreaker {
                 const pageWrapper = document.createElement('div');
                 pageWrapper.className = 'page-wrapper';
                 pageWrapper.dataset.page = page.pageNum;
+                pageWrapper.dataset.kind = 'fixed';
                 pageWrapper.style.position = 'relative';
                 
                 // Create a container that holds both canvas and text layer
@@ -467,17 +1123,10 @@ class BlackoutBreaker {
                     max-width: 100%;
                 `;
                 
-                // Clone and add the canvas (with black boxes whited out)
-                const canvas = page.fixedCanvas;
-                const clonedCanvas = canvas.cloneNode(true);
-                clonedCanvas.style.maxWidth = '100%';
-                clonedCanvas.style.height = 'auto';
-                clonedCanvas.style.display = 'block';
-                
-                const ctx = clonedCanvas.getContext('2d');
-                ctx.drawImage(canvas, 0, 0);
-                
-                pageContainer.appendChild(clonedCanvas);
+                // Drawn with the boxes removed when it scrolls into view
+                const placeholder = this.createPagePlaceholder(page);
+                placeholder.style.display = 'block';
+                pageContainer.appendChild(placeholder);
                 
                 // Create text layer container for the redacted areas only
                 const textLayerDiv = document.createElement('div');
@@ -495,7 +1144,7 @@ class BlackoutBreaker {
                 
                 // Render text items that are within redaction areas
                 if (page.textContent && page.viewport) {
-                    this.renderTextLayerForRedactions(textLayerDiv, page, clonedCanvas);
+                    this.renderTextLayerForRedactions(textLayerDiv, page, placeholder, doc.processor);
                 }
                 
                 pageContainer.appendChild(textLayerDiv);
@@ -506,11 +1155,20 @@ class BlackoutBreaker {
             return container;
         };
         
+        // Free the pages drawn for the previous render before replacing them
+        document.querySelectorAll('.page-wrapper[data-render="done"] canvas').forEach(canvas => {
+            this.baseProcessor.releaseCanvas(canvas);
+        });
+        
         originalViewer.innerHTML = '';
         fixedViewer.innerHTML = '';
         
         originalViewer.appendChild(createOriginalPages(doc.pages));
         fixedViewer.appendChild(createFixedPages(doc.pages));
+        this.observePages(doc);
+        
+        this.editor.decorate();
+        this.updateEditControls(doc);
         
         // Update page info
         document.getElementById('totalPages').textContent = doc.numPages;
@@ -519,21 +1177,100 @@ class BlackoutBreaker {
     }
     
     /**
-     * Render text layer for redacted areas using PDF.js text content
+     * An empty canvas that holds a page's place in the pane until it is drawn; it has no pixels until then
      */
-    renderTextLayerForRedactions(container, page, canvas) {
-        const { textContent, viewport, redactions } = page;
-        if (!textContent || !textContent.items) return;
+    createPagePlaceholder(page) {
+        const canvas = document.createElement('canvas');
+        canvas.width = page.width;
+        canvas.height = page.height;
+        canvas.style.maxWidth = '100%';
+        canvas.style.height = 'auto';
+        return canvas;
+    }
+
+    /**
+     * Draw pages as they come within a screen of view in either pane, and free them again once they
+     * are further away, so only a handful of page images are in memory however long the document is
+     */
+    observePages(doc) {
+        this.pageObservers.forEach(observer => observer.disconnect());
+        
+        this.pageObservers = ['originalViewer', 'fixedViewer'].map(id => {
+            const viewer = document.getElementById(id);
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.renderPageCanvas(doc, entry.target);
+                    } else {
+                        this.releasePageCanvas(doc, entry.target);
+                    }
+                });
+            }, { root: viewer, rootMargin: '100% 0px' });
+            
+            viewer.querySelectorAll('.page-wrapper').forEach(wrapper => observer.observe(wrapper));
+            return observer;
+        });
+    }
+
+    /**
+     * Swap a page's placeholder for its rendered image, unless it scrolled away or the pane was redrawn first
+     */
+    renderPageCanvas(doc, wrapper) {
+        if (wrapper.dataset.render) return; // Drawn or already waiting
+        wrapper.dataset.render = 'pending';
         
-        // Calculate scale from original viewport to displayed size
-        // We need to wait for canvas to be in DOM to get actual size
-        // So we use a ResizeObserver or requestAnimationFrame
+        const stillWanted = () => wrapper.dataset.render === 'pending' && wrapper.isConnected;
         
-        const renderText = () => {
-            const displayWidth = canvas.offsetWidth || canvas.width;
-            const displayHeight = canvas.offsetHeight || canvas.height;
-            const scaleX = displayWidth / page.width;
-            const scaleY = displayHeight / page.height;
+        this.renderQueue = this.renderQueue.then(async () => {
+            if (!stillWanted()) return;
+            
+            const canvas = await doc.processor.renderPageImage(parseInt(wrapper.dataset.page), wrapper.dataset.kind);
+            if (!stillWanted()) {
+                doc.processor.releaseCanvas(canvas);
+                return;
+            }
+            
+            const placeholder = wrapper.querySelector('canvas');
+            canvas.style.cssText = placeholder.style.cssText;
+            placeholder.replaceWith(canvas);
+            wrapper.dataset.render = 'done';
+        }).catch(error => {
+            console.error('Error rendering page:', error);
+            wrapper.dataset.render = '';
+        });
+    }
+
+    /**
+     * Put a page's placeholder back and free its image
+     */
+    releasePageCanvas(doc, wrapper) {
+        const drawn = wrapper.dataset.render === 'done';
+        wrapper.dataset.render = '';
+        if (!drawn) return;
+        
+        const canvas = wrapper.querySelector('canvas');
+        const placeholder = this.createPagePlaceholder(doc.pages[parseInt(wrapper.dataset.page) - 1]);
+        placeholder.style.cssText = canvas.style.cssText;
+        canvas.replaceWith(placeholder);
+        doc.processor.releaseCanvas(canvas);
+    }
+
+    /**
+     * Render text layer for redacted areas using PDF.js text content
+     */
+    renderTextLayerForRedactions(container, page, canvas, processor) {
+        const { textContent, viewport, redactions } = page;
+        if (!textContent || !textContent.items) return;
+        
+        // Calculate scale from original viewport to displayed size
+        // We need to wait for canvas to be in DOM to get actual size
+        // So we use a ResizeObserver or requestAnimationFrame
+        
+        const renderText = () => {
+            const displayWidth = canvas.offsetWidth || canvas.width;
+            const displayHeight = canvas.offsetHeight || canvas.height;
+            const scaleX = displayWidth / page.width;
+            const scaleY = displayHeight / page.height;
             
             textContent.items.forEach((item, index) => {
                 if (!item.str || item.str.trim() === '') return;
@@ -554,31 +1291,17 @@ class BlackoutBreaker {
                 const canvasY = vt[3] * pdfY + vt[5];
                 
                 // Check if this text is within any redaction area
-                const scaledFontSize = fontSize * this.processor.scale;
+                const scaledFontSize = fontSize * viewport.scale;
                 const textTop = canvasY - scaledFontSize;
                 const textBottom = canvasY;
                 const textLeft = canvasX;
-                const textWidth = (item.width || (item.str.length * fontSize * 0.6)) * this.processor.scale;
+                const textWidth = (item.width || (item.str.length * fontSize * 0.6)) * viewport.scale;
                 const textRight = textLeft + textWidth;
                 
-                let isInRedaction = false;
-                for (const redaction of redactions) {
-                    const overlapLeft = Math.max(textLeft, redaction.x);
-                    const overlapRight = Math.min(textRight, redaction.x + redaction.width);
-                    const horizontalOverlap = Math.max(0, overlapRight - overlapLeft);
-                    
-                    const textCenterY = (textTop + textBottom) / 2;
-                    const verticalInside = textCenterY >= redaction.y && textCenterY <= redaction.y + redaction.height;
-                    
-                    if (horizontalOverlap > textWidth * 0.3 && verticalInside) {
-                        isInRedaction = true;
-                        break;
-                    }
-                }
+                if (!processor.findOverlayRedaction(textLeft, textRight, textTop, textBottom, redactions)) return;
                 
-                if (!isInRedaction) return;
-                
-                // Create a span for this text item
+                // Create a span for this text item; the page image already draws the text, so the span
+                // is only there to be selected and copied
                 const span = document.createElement('span');
                 span.textContent = item.str;
                 span.style.cssText = `
@@ -587,7 +1310,7 @@ class BlackoutBreaker {
                     top: ${(canvasY - scaledFontSize) * scaleY}px;
                     font-size: ${scaledFontSize * scaleY}px;
                     font-family: sans-serif;
-                    color: #000;
+                    color: transparent;
                     white-space: pre;
                     transform-origin: left top;
                     pointer-events: auto;
@@ -617,47 +1340,64 @@ class BlackoutBreaker {
             return;
         }
         
-        // Group redactions by page
-        const byPage = {};
-        doc.redactions.forEach((r, index) => {
-            if (!byPage[r.page]) byPage[r.page] = [];
-            byPage[r.page].push({ ...r, globalIndex: index });
-        });
+        let redactions = doc.redactions.map((r, index) => ({ ...r, globalIndex: index }));
+        if (this.diffFilter !== 'all') {
+            redactions = redactions.filter(r => r.leakClass === this.diffFilter);
+        }
+        
+        if (redactions.length === 0) {
+            diffContent.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-filter"></i>
+                    <p>No redactions classified as ${this.leakClassLabels[this.diffFilter].toLowerCase()}</p>
+                </div>
+            `;
+            return;
+        }
         
         let html = '';
         
-        Object.keys(byPage).sort((a, b) => a - b).forEach(pageNum => {
+        if (this.diffSort === 'page') {
+            // Group redactions by page
+            const byPage = {};
+            redactions.forEach(r => {
+                if (!byPage[r.page]) byPage[r.page] = [];
+                byPage[r.page].push(r);
+            });
+            
+            Object.keys(byPage).sort((a, b) => a - b).forEach(pageNum => {
+                html += `
+                    <div class="diff-page-header">
+                        <i class="fas fa-file-alt"></i>
+                        Page ${pageNum} - ${byPage[pageNum].length} redaction(s)
+                    </div>
+                `;
+                
+                byPage[pageNum].forEach((redaction, index) => {
+                    html += this.renderDiffItem(doc, redaction, index + 1, false);
+                });
+            });
+        } else {
+            const classOrder = Object.keys(this.leakClassLabels);
+            const byConfidence = (a, b) => b.confidence - a.confidence;
+            
+            redactions.sort({
+                'confidence-desc': byConfidence,
+                'confidence-asc': (a, b) => a.confidence - b.confidence,
+                'class': (a, b) => classOrder.indexOf(a.leakClass) - classOrder.indexOf(b.leakClass) || byConfidence(a, b)
+            }[this.diffSort]);
+            
             html += `
                 <div class="diff-page-header">
-                    <i class="fas fa-file-alt"></i>
-                    Page ${pageNum} - ${byPage[pageNum].length} redaction(s)
+                    <i class="fas fa-sort-amount-down"></i>
+                    ${redactions.length} redaction(s) sorted by ${this.diffSort === 'class' ? 'class' : 'confidence'}
                 </div>
             `;
             
-            byPage[pageNum].forEach((redaction, index) => {
-                // Get the hidden text if available
-                const hiddenText = redaction.hiddenText && redaction.hiddenText.length > 0
-                    ? redaction.hiddenText.map(t => t.text).join(' ')
-                    : null;
-                
-                html += `
-                    <div class="diff-item" data-page="${pageNum}" data-index="${redaction.globalIndex}">
-                        <div class="diff-line-number">${index + 1}</div>
-                        <div class="diff-item-content">
-                            <div class="diff-location">
-                                <div class="redaction-box"></div>
-                                <span class="coords">x: ${Math.round(redaction.pdfX)}, y: ${Math.round(redaction.pdfY)}</span>
-                            </div>
-                            <div class="diff-size">${Math.round(redaction.pdfWidth)} × ${Math.round(redaction.pdfHeight)} px</div>
-                            ${hiddenText ? `<div class="hidden-text-preview" title="${this.escapeHtml(hiddenText)}"><i class="fas fa-eye"></i> "${this.escapeHtml(hiddenText.substring(0, 50))}${hiddenText.length > 50 ? '...' : ''}"</div>` : '<div class="no-text-found"><i class="fas fa-question-circle"></i> No text layer</div>'}
-                            <button class="jump-btn" data-page="${pageNum}" data-x="${redaction.x}" data-y="${redaction.y}" data-index="${redaction.globalIndex}">
-                                <i class="fas fa-arrow-right"></i> Jump to
-                            </button>
-                        </div>
-                    </div>
-                `;
+            redactions.forEach((redaction, index) => {
+                html += this.renderDiffItem(doc, redaction, index + 1, true);
             });
-        });
+        }
         
         diffContent.innerHTML = html;
         
@@ -672,6 +1412,192 @@ class BlackoutBreaker {
                 this.jumpToRedaction(page, x, y, index);
             });
         });
+        
+        diffContent.querySelectorAll('.image-download-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.downloadRecoveredImage(doc, e.currentTarget.dataset.imageId);
+            });
+        });
+    }
+
+    /**
+     * Render a single redaction row for the diff view, followed by any images recovered beneath it
+     */
+    renderDiffItem(doc, redaction, lineNumber, showPage) {
+        const pageNum = redaction.page;
+        
+        // Get the hidden text if available
+        const hiddenText = redaction.hiddenText && redaction.hiddenText.length > 0
+            ? redaction.hiddenText.map(t => t.text).join(' ')
+            : null;
+        
+        const estimate = redaction.lengthEstimate;
+        const emptyMessages = {
+            'leaked-image': '<i class="fas fa-image"></i> Image still under the box',
+            'flattened': '<i class="fas fa-check"></i> Properly flattened' + (estimate
+                ? ` <span class="length-estimate" title="Estimated from ${estimate.fontSize.toFixed(1)}pt text beside the box">≈ ${estimate.characters} chars (${estimate.min}–${estimate.max})</span>`
+                : ''),
+            'false-positive': '<i class="fas fa-question-circle"></i> Probably not a redaction'
+        };
+        
+        return `
+            <div class="diff-item" data-page="${pageNum}" data-index="${redaction.globalIndex}">
+                <div class="diff-line-number">${lineNumber}</div>
+                <div class="diff-item-content">
+                    <div class="diff-location">
+                        <div class="redaction-box" style="background: ${redaction.fillColor};" title="${this.describeFill(redaction)}"></div>
+                        <span class="coords">${showPage ? `p. ${pageNum}, ` : ''}x: ${Math.round(redaction.pdfX)}, y: ${Math.round(redaction.pdfY)}</span>
+                    </div>
+                    <div class="diff-size">${Math.round(redaction.pdfWidth)} × ${Math.round(redaction.pdfHeight)} px${redaction.segments.length > 1 ? ` · ${redaction.segments.length} lines` : ''}</div>
+                    <span class="detector-tag ${redaction.detector}" title="${redaction.detector === 'manual' ? 'Drawn by hand' : `Found by the ${redaction.detector} detector`}${redaction.edited ? ', then edited' : ''}">${redaction.annotationType ? `/${redaction.annotationType} ` : ''}${redaction.detector}${redaction.edited ? ' · edited' : ''}</span>
+                    <span class="leak-badge ${redaction.leakClass}" title="Confidence ${Math.round(redaction.confidence * 100)}%">${this.leakClassLabels[redaction.leakClass]} · ${Math.round(redaction.confidence * 100)}%</span>
+                    ${hiddenText ? `<div class="hidden-text-preview" title="${this.escapeHtml(hiddenText)}"><i class="fas fa-eye"></i> "${this.escapeHtml(hiddenText.substring(0, 50))}${hiddenText.length > 50 ? '...' : ''}"</div>` : `<div class="no-text-found">${emptyMessages[redaction.leakClass] || '<i class="fas fa-question-circle"></i> No text layer'}</div>`}
+                    <button class="jump-btn" data-page="${pageNum}" data-x="${redaction.x}" data-y="${redaction.y}" data-index="${redaction.globalIndex}">
+                        <i class="fas fa-arrow-right"></i> Jump to
+                    </button>
+                </div>
+            </div>
+        ` + this.renderCandidateRow(doc, redaction) + (redaction.recoveredImageIds || []).map(imageId => {
+            const image = doc.recoveredImages.find(img => img.id === imageId);
+            if (!image) return '';
+            
+            return `
+                <div class="diff-item recovered-image-item" data-page="${pageNum}">
+                    <div class="diff-line-number"><i class="fas fa-image"></i></div>
+                    <div class="diff-item-content">
+                        <img class="recovered-thumb" src="${image.thumbnail}" alt="Recovered image from page ${pageNum}">
+                        <div class="recovered-info">
+                            <span class="recovered-label"><i class="fas fa-unlock"></i> Recovered image</span>
+                            <span class="coords">${image.width} × ${image.height} px native</span>
+                        </div>
+                        <button class="image-download-btn" data-image-id="${image.id}">
+                            <i class="fas fa-download"></i> Download
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the best-fitting candidate words under a flattened redaction
+     */
+    renderCandidateRow(doc, redaction) {
+        if (!redaction.lengthEstimate || this.candidates.length === 0) return '';
+        
+        const page = doc.pages[redaction.page - 1];
+        const ranked = doc.processor.lengthEstimator
+            .rankCandidates(redaction, page.textContent, this.candidates)
+            .slice(0, 5);
+        const boxWidth = redaction.segments.reduce((sum, segment) => sum + segment.pdfRect[2] - segment.pdfRect[0], 0);
+        
+        return `
+            <div class="diff-item candidate-item" data-page="${redaction.page}">
+                <div class="diff-line-number"><i class="fas fa-list-ol"></i></div>
+                <div class="diff-item-content">
+                    ${ranked.map(candidate => `
+                        <span class="candidate-match" title="${candidate.width.toFixed(1)}pt wide vs ${boxWidth.toFixed(1)}pt of box">
+                            ${this.escapeHtml(candidate.text)} <span class="candidate-fit">${Math.round(candidate.fit * 100)}%</span>
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Parse a candidate list (one per line, or the first column of a CSV) and re-rank
+     */
+    setCandidates(text, isCsv) {
+        const lines = text.split(/\r?\n/).map(line => isCsv ? line.split(',')[0].replace(/^"|"$/g, '') : line);
+        this.candidates = [...new Set(lines.map(line => line.trim()).filter(Boolean))];
+        
+        document.getElementById('candidateCount').textContent = this.candidates.length > 0
+            ? `${this.candidates.length} candidate(s)`
+            : 'No candidates';
+        
+        const doc = this.documents.get(this.currentDocId);
+        if (doc) this.renderDiffView(doc);
+    }
+
+    /**
+     * Download a recovered image as a PNG at its native resolution
+     */
+    downloadRecoveredImage(doc, imageId) {
+        const image = doc.recoveredImages.find(img => img.id === imageId);
+        if (!image) return;
+        
+        const fileName = `${doc.name.replace(/\.pdf$/i, '')}_page${image.page}_${image.objId}.png`;
+        
+        image.canvas.toBlob((blob) => {
+            if (!blob) {
+                this.showToast('Failed to export image', 'error');
+                return;
+            }
+            this.saveBlob(blob, fileName);
+            this.showToast(`Saved: ${fileName}`, 'success');
+        }, 'image/png');
+    }
+
+    /**
+     * Download the findings of the current document, or of every loaded document,
+     * as JSON, CSV, or a standalone HTML audit report
+     */
+    async exportFindings(kind) {
+        const scope = document.getElementById('exportScope').value;
+        const documents = scope === 'all'
+            ? Array.from(this.documents.values())
+            : [this.documents.get(this.currentDocId)].filter(Boolean);
+        
+        if (documents.length === 0) {
+            this.showToast('No documents to export', 'error');
+            return;
+        }
+        
+        const suffix = kind === 'html' ? 'report' : 'findings';
+        const baseName = scope === 'all' ? suffix : `${documents[0].name.replace(/\.pdf$/i, '')}_${suffix}`;
+        const fileName = `${baseName}.${kind}`;
+        
+        const builders = {
+            json: () => new Blob([this.findingsExporter.toJson(documents)], { type: 'application/json' }),
+            csv: () => new Blob([this.findingsExporter.toCsv(documents)], { type: 'text/csv' }),
+            html: async () => new Blob([await this.auditReport.build(documents)], { type: 'text/html' })
+        };
+        
+        let blob;
+        try {
+            blob = await builders[kind]();
+        } catch (error) {
+            console.error('Error exporting findings:', error);
+            this.showToast(`Export failed: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.saveBlob(blob, fileName);
+        this.showToast(`Saved: ${fileName}`, 'success');
+    }
+
+    /**
+     * Trigger a browser download for a Blob
+     */
+    saveBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Describe the fill profile a redaction matched, for the swatch tooltip
+     */
+    describeFill(redaction) {
+        const profile = this.baseProcessor.getFillProfile(redaction.fillProfile);
+        const label = profile ? `${profile.label} fill` : 'No solid fill';
+        return `${label} (${redaction.fillColor})`;
     }
 
     /**
@@ -680,7 +1606,8 @@ class BlackoutBreaker {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, since the result is also used inside attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     /**
@@ -711,9 +1638,9 @@ class BlackoutBreaker {
         // Highlight the redaction
         this.clearHighlights();
         
-        const highlight = pageWrapper.querySelector(`.redaction-highlight[data-redaction-index="${index % 100}"]`);
-        if (highlight) {
-            highlight.classList.add('active');
+        const highlights = pageWrapper.querySelectorAll(`.redaction-highlight[data-redaction-index="${index % 100}"]`);
+        if (highlights.length > 0) {
+            highlights.forEach(highlight => highlight.classList.add('active'));
             this.highlightedRedaction = { pageNum, index };
         }
         
@@ -752,21 +1679,328 @@ class BlackoutBreaker {
         document.getElementById('diffView').classList.toggle('active', view === 'diff');
     }
 
+    /**
+     * Fill the settings panel from the current detection settings
+     */
+    renderSettingsPanel() {
+        const settings = this.detectionSettings;
+        
+        const presetSelect = document.getElementById('presetSelect');
+        presetSelect.innerHTML = (settings.activePreset ? '' : '<option value="">Custom (unsaved)</option>') +
+            settings.getPresets().map(preset => `
+                <option value="${this.escapeHtml(preset.name)}" ${preset.name === settings.activePreset ? 'selected' : ''}>${this.escapeHtml(preset.name)}</option>
+            `).join('');
+        
+        const fields = document.getElementById('settingsFields');
+        fields.innerHTML = settings.fields.map(field => `
+            <label for="setting-${field.key}">${field.label}</label>
+            <span>
+                <input type="number" class="settings-input" id="setting-${field.key}" data-key="${field.key}"
+                    min="${field.min}" max="${field.max}" step="${field.step}" value="${this.baseProcessor.settings[field.key]}">
+                <span class="settings-unit">${field.unit || ''}</span>
+            </span>
+        `).join('');
+        
+        // The black profile's tolerance is the old black threshold
+        const profiles = document.getElementById('fillProfileFields');
+        profiles.innerHTML = this.baseProcessor.fillProfiles.map(profile => `
+            <label>
+                <input type="checkbox" data-profile="${profile.id}" ${profile.enabled ? 'checked' : ''}>
+                ${profile.label}${profile.requireText ? ' <span class="settings-unit">only over text</span>' : ''}
+            </label>
+            <span>
+                <input type="number" class="settings-input" data-profile="${profile.id}" title="Color tolerance"
+                    min="0" max="255" step="1" value="${profile.tolerance}">
+                <span class="settings-unit">tolerance</span>
+            </span>
+        `).join('');
+        
+        fields.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => {
+                settings.setValue(input.dataset.key, parseFloat(input.value));
+                this.onSettingsChanged();
+            });
+        });
+        
+        profiles.querySelectorAll('input').forEach(input => {
+            input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+                settings.setFillProfile(input.dataset.profile, input.type === 'checkbox'
+                    ? { enabled: input.checked }
+                    : { tolerance: parseFloat(input.value) });
+                this.onSettingsChanged();
+            });
+        });
+    }
+
+    /**
+     * Mark the preset as custom and re-run detection once edits settle
+     */
+    onSettingsChanged() {
+        const presetSelect = document.getElementById('presetSelect');
+        if (!presetSelect.querySelector('option[value=""]')) {
+            presetSelect.insertAdjacentHTML('afterbegin', '<option value="">Custom (unsaved)</option>');
+        }
+        presetSelect.value = '';
+        
+        this.scheduleRedetect();
+    }
+
+    /**
+     * Debounce re-detection so typing a value doesn't start a run per keystroke
+     */
+    scheduleRedetect() {
+        clearTimeout(this.redetectTimer);
+        this.redetectTimer = setTimeout(() => this.redetectCurrentDocument(), 400);
+    }
+
+    /**
+     * Re-run detection on the selected document with the current settings
+     */
+    async redetectCurrentDocument() {
+        // A run is already going; pick up the latest settings when it finishes
+        if (this.redetecting) {
+            this.redetectQueued = true;
+            return;
+        }
+        
+        const status = document.getElementById('settingsStatus');
+        this.redetecting = true;
+        
+        try {
+            do {
+                this.redetectQueued = false;
+                
+                const doc = this.documents.get(this.currentDocId);
+                if (!doc) break;
+                
+                status.textContent = `Re-detecting ${doc.name}...`;
+                status.classList.add('busy');
+                
+                await this.reprocessDocument(doc, (pageNum, numPages) => {
+                    status.textContent = `Re-detecting ${doc.name}... page ${pageNum} / ${numPages}`;
+                });
+                
+                if (doc.id === this.currentDocId) {
+                    this.updateFileList();
+                    this.selectDocument(doc.id);
+                }
+                
+                status.textContent = `${doc.redactions.length} redactions found with these settings`;
+            } while (this.redetectQueued);
+        } catch (error) {
+            console.error('Error re-running detection:', error);
+            status.textContent = 'Detection failed with these settings';
+            this.showToast('Error re-running detection', 'error');
+        } finally {
+            status.classList.remove('busy');
+            this.redetecting = false;
+        }
+    }
+
+    /**
+     * Re-render and re-detect a document from its parsed PDF, keeping pages whose boxes were edited by hand
+     */
+    async reprocessDocument(doc, onProgress) {
+        const editedPages = doc.pages.filter(page => page.edited);
+        
+        let result = await doc.processor.redetect(onProgress);
+        
+        for (const page of editedPages) {
+            result = { ...result, ...await doc.processor.updatePageRedactions(page.pageNum, page.redactions) };
+        }
+        
+        doc.pages = result.pages;
+        doc.redactions = result.redactions;
+        doc.recoveredImages = result.recoveredImages;
+        this.scheduleSave(doc);
+    }
+
+    /**
+     * Toggle drawing and editing redaction boxes on the original pane
+     */
+    toggleEditMode() {
+        const enabled = !this.editor.enabled;
+        this.editor.setEnabled(enabled);
+        document.getElementById('editModeBtn').classList.toggle('active', enabled);
+        
+        if (enabled) {
+            this.switchView('split');
+            this.showToast('Drag on a page to add a box; drag a box to move or resize it', 'info');
+        }
+    }
+
+    /**
+     * Apply a change to one page's redactions and record it for undo
+     */
+    editRedactions(pageNum, change) {
+        const docId = this.currentDocId;
+        
+        return this.queueEdit(async () => {
+            const doc = this.documents.get(docId);
+            if (!doc) return;
+            
+            const before = doc.pages[pageNum - 1].redactions;
+            const after = change(before, doc.processor);
+            
+            doc.history.undo.push({ pageNum, before, after });
+            doc.history.redo = [];
+            
+            await this.applyPageRedactions(doc, pageNum, after);
+        });
+    }
+
+    /**
+     * Undo the last manual edit on the current document
+     */
+    undoEdit() {
+        const docId = this.currentDocId;
+        
+        return this.queueEdit(async () => {
+            const doc = this.documents.get(docId);
+            const entry = doc && doc.history.undo.pop();
+            if (!entry) return;
+            
+            doc.history.redo.push(entry);
+            await this.applyPageRedactions(doc, entry.pageNum, entry.before);
+        });
+    }
+
+    /**
+     * Redo the last undone manual edit on the current document
+     */
+    redoEdit() {
+        const docId = this.currentDocId;
+        
+        return this.queueEdit(async () => {
+            const doc = this.documents.get(docId);
+            const entry = doc && doc.history.redo.pop();
+            if (!entry) return;
+            
+            doc.history.undo.push(entry);
+            await this.applyPageRedactions(doc, entry.pageNum, entry.after);
+        });
+    }
+
+    /**
+     * Run edits in order so a slow page re-render can't interleave with the next edit
+     */
+    queueEdit(task) {
+        this.editQueue = this.editQueue.then(task).catch(error => {
+            console.error('Error applying redaction edit:', error);
+            this.showToast('Error applying edit', 'error');
+        });
+        return this.editQueue;
+    }
+
+    /**
+     * Re-run text lookup and fixed rendering for an edited page and refresh every view
+     */
+    async applyPageRedactions(doc, pageNum, redactions) {
+        const result = await doc.processor.updatePageRedactions(pageNum, redactions);
+        doc.pages = result.pages;
+        doc.redactions = result.redactions;
+        doc.recoveredImages = result.recoveredImages;
+        this.scheduleSave(doc);
+        
+        if (doc.id !== this.currentDocId) return;
+        
+        // Re-rendering replaces the pages, so put both panes back where they were
+        const originalViewer = document.getElementById('originalViewer');
+        const fixedViewer = document.getElementById('fixedViewer');
+        const scroll = [originalViewer.scrollTop, fixedViewer.scrollTop];
+        const currentPage = document.getElementById('currentPage').value;
+        
+        this.renderDocument(doc);
+        this.renderDiffView(doc);
+        this.updateFileList();
+        
+        originalViewer.scrollTop = scroll[0];
+        fixedViewer.scrollTop = scroll[1];
+        document.getElementById('currentPage').value = currentPage;
+        document.getElementById('redactionCount').textContent = `${doc.redactions.length} redactions detected`;
+        document.getElementById('redactionsCountDiff').textContent = doc.redactions.length;
+    }
+
+    /**
+     * Enable undo/redo buttons for the current document's history
+     */
+    updateEditControls(doc) {
+        document.getElementById('undoBtn').disabled = !doc || doc.history.undo.length === 0;
+        document.getElementById('redoBtn').disabled = !doc || doc.history.redo.length === 0;
+    }
+
     /**
      * Zoom in/out
      */
-    async zoom(delta) {
+    zoom(delta) {
         const doc = this.documents.get(this.currentDocId);
         if (!doc) return;
         
-        const newScale = await this.processor.setScale(this.processor.getScale() + delta);
-        document.getElementById('zoomLevel').textContent = Math.round(newScale * 100 / 1.5) + '%';
+        this.setFitMode(null);
+        this.setZoom(doc.processor.getScale() + delta);
+    }
+
+    /**
+     * Show the current document at a new scale, keeping the same part of the page in view.
+     * The findings are re-measured rather than detected again, and only the visible pages are drawn.
+     */
+    setZoom(scale) {
+        const doc = this.documents.get(this.currentDocId);
+        if (!doc) return;
+        
+        const originalViewer = document.getElementById('originalViewer');
+        const pageNum = parseInt(document.getElementById('currentPage').value) || 1;
+        const anchor = originalViewer.querySelector(`.page-wrapper[data-page="${pageNum}"]`);
+        const offset = anchor ? (originalViewer.scrollTop - anchor.offsetTop) / (anchor.offsetHeight || 1) : 0;
+        
+        const newScale = doc.processor.setScale(scale);
+        doc.pages = doc.processor.pages;
+        doc.redactions = doc.processor.redactions;
         
-        // Re-render
-        const result = await this.processor.loadPdf(doc.file);
-        doc.pages = result.pages;
-        doc.redactions = result.redactions;
         this.renderDocument(doc);
+        this.renderDiffView(doc);
+        document.getElementById('zoomLevel').textContent = this.formatZoom(newScale);
+        
+        const moved = originalViewer.querySelector(`.page-wrapper[data-page="${pageNum}"]`);
+        if (moved) {
+            originalViewer.scrollTop = moved.offsetTop + offset * moved.offsetHeight;
+        }
+        document.getElementById('currentPage').value = pageNum;
+    }
+
+    /**
+     * Keep documents fitted to the pane's width or to a whole page, or turn fitting off with null
+     */
+    setFitMode(mode) {
+        this.fitMode = mode;
+        document.getElementById('fitWidthBtn').classList.toggle('active', mode === 'width');
+        document.getElementById('fitPageBtn').classList.toggle('active', mode === 'page');
+        
+        const doc = this.documents.get(this.currentDocId);
+        if (doc && mode) this.setZoom(this.getFitScale(doc, mode));
+    }
+
+    /**
+     * Scale at which a page (the current one by default) fills the pane's width, or fits in it whole
+     */
+    getFitScale(doc, mode, pageNum = parseInt(document.getElementById('currentPage').value) || 1) {
+        const viewer = document.getElementById('originalViewer');
+        const page = doc.pages[pageNum - 1] || doc.pages[0];
+        
+        // The pane is hidden in the Diff View, so there is nothing to fit to
+        if (!page || viewer.clientWidth === 0) return doc.processor.getScale();
+        
+        const padding = 32; // The pages container's padding on both sides
+        const widthScale = (viewer.clientWidth - padding) / page.pdfWidth;
+        const pageScale = Math.min(widthScale, (viewer.clientHeight - padding) / page.pdfHeight);
+        return mode === 'page' ? pageScale : widthScale;
+    }
+
+    /**
+     * Zoom label for a render scale; the default scale of 1.5 shows as 100%
+     */
+    formatZoom(scale) {
+        return Math.round(scale * 100 / 1.5) + '%';
     }
 
     /**
@@ -800,10 +2034,104 @@ class BlackoutBreaker {
         }
     }
 
+    /**
+     * Show the export options for the selected document, filled in with the last used ones
+     */
+    openExportDialog() {
+        const doc = this.documents.get(this.currentDocId);
+        if (!doc) {
+            this.showToast('No document selected', 'error');
+            return;
+        }
+        
+        const options = this.exportOptions;
+        const pages = document.getElementById('exportPages');
+        pages.value = '';
+        pages.placeholder = `All pages (1-${doc.numPages})`;
+        document.getElementById('exportForceRaster').checked = options.forceRaster;
+        document.getElementById('exportDpi').value = options.dpi;
+        document.getElementById('exportFormat').value = options.imageFormat;
+        document.getElementById('exportQuality').value = Math.round(options.imageQuality * 100);
+        document.getElementById('exportQuality').disabled = options.imageFormat === 'png';
+        document.getElementById('exportRecoveredStyle').value = options.recoveredStyle;
+        document.getElementById('exportRecoveredColor').value = options.recoveredColor;
+        document.getElementById('exportFooter').checked = options.footer;
+        
+        const status = document.getElementById('exportStatus');
+        status.textContent = 'Resolution and format apply when the file is saved as page images';
+        status.classList.remove('error');
+        
+        document.getElementById('exportModal').classList.add('active');
+    }
+
+    /**
+     * Read the export dialog and start the download, or point out an invalid page range
+     */
+    confirmExport() {
+        const doc = this.documents.get(this.currentDocId);
+        if (!doc) return;
+        
+        let pages;
+        try {
+            pages = this.parsePageRange(document.getElementById('exportPages').value, doc.numPages);
+        } catch (error) {
+            const status = document.getElementById('exportStatus');
+            status.textContent = error.message;
+            status.classList.add('error');
+            return;
+        }
+        
+        const clamp = (value, min, max, fallback) => isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+        const defaults = this.baseProcessor.exportDefaults;
+        
+        this.exportOptions = {
+            ...this.exportOptions,
+            forceRaster: document.getElementById('exportForceRaster').checked,
+            dpi: clamp(parseInt(document.getElementById('exportDpi').value), 72, 600, defaults.dpi),
+            imageFormat: document.getElementById('exportFormat').value,
+            imageQuality: clamp(parseInt(document.getElementById('exportQuality').value), 10, 100, defaults.imageQuality * 100) / 100,
+            recoveredStyle: document.getElementById('exportRecoveredStyle').value,
+            recoveredColor: document.getElementById('exportRecoveredColor').value,
+            footer: document.getElementById('exportFooter').checked
+        };
+        
+        document.getElementById('exportModal').classList.remove('active');
+        this.downloadFixed({ ...this.exportOptions, pages });
+    }
+
+    /**
+     * Parse a page range such as "1-3, 5, 8-" into sorted page numbers, or null for all pages
+     */
+    parsePageRange(text, numPages) {
+        if (text.trim() === '') return null;
+        
+        const pages = new Set();
+        for (const part of text.split(',')) {
+            const match = part.trim().match(/^(\d*)\s*(-?)\s*(\d*)$/);
+            if (!match || (!match[1] && !match[3])) {
+                throw new Error(`"${part.trim()}" is not a page or range`);
+            }
+            
+            // "8-" runs to the last page and "-3" from the first
+            const start = match[1] ? parseInt(match[1]) : 1;
+            const end = match[2] ? (match[3] ? parseInt(match[3]) : numPages) : start;
+            if (start > end) {
+                throw new Error(`"${part.trim()}" runs backwards`);
+            }
+            if (start < 1 || end > numPages) {
+                throw new Error(`Pages must be between 1 and ${numPages}`);
+            }
+            
+            for (let page = start; page <= end; page++) pages.add(page);
+        }
+        
+        return Array.from(pages).sort((a, b) => a - b);
+    }
+
     /**
      * Download the fixed version as PDF
      */
-    async downloadFixed() {
+    async downloadFixed(options = this.exportOptions) {
         const doc = this.documents.get(this.currentDocId);
         if (!doc) {
             this.showToast('No document selected', 'error');
@@ -813,14 +2141,27 @@ class BlackoutBreaker {
         this.showToast('Generating PDF...', 'info');
         
         try {
-            const fileName = await this.processor.downloadFixedPdf();
+            const result = await doc.processor.exportFixedPdf(options);
             
-            if (fileName) {
+            if (result) {
+                this.saveBlob(result.blob, result.fileName);
+                
                 // Mark as fixed
                 doc.isFixed = true;
                 this.updateFileList();
+                this.scheduleSave(doc);
                 
-                this.showToast(`Saved: ${fileName}`, 'success');
+                if (result.method === 'raster' && !options.forceRaster) {
+                    this.showToast(`Saved as page images: ${result.fileName}`, 'info');
+                } else {
+                    this.showToast(`Saved: ${result.fileName}`, 'success');
+                }
+                if (result.remaining > 0) {
+                    this.showToast(`${result.remaining} box${result.remaining === 1 ? '' : 'es'} could not be removed from the original file`, 'info');
+                }
+                if (result.unsearchable > 0) {
+                    this.showToast(`${result.unsearchable} text item${result.unsearchable === 1 ? '' : 's'} in other scripts could not be made searchable`, 'info');
+                }
             } else {
                 this.showToast('Failed to generate PDF', 'error');
             }
@@ -830,6 +2171,149 @@ class BlackoutBreaker {
         }
     }
 
+    /**
+     * Export the fixed PDF of every loaded document into one ZIP, keeping the uploaded folder structure,
+     * with a manifest of what was exported and the findings of every document
+     */
+    async downloadAll() {
+        const docs = Array.from(this.documents.values());
+        if (docs.length === 0) {
+            this.showToast('No documents loaded', 'error');
+            return;
+        }
+        
+        const zip = new JSZip();
+        const files = [];
+        const exportedDocs = []; // Marked as fixed once the ZIP is saved
+        const usedPaths = new Set(['manifest.json']); // Lower-cased, since unzipping often ignores case
+        
+        // Cancelling stops after the document being exported and saves nothing
+        let cancelled = false;
+        this.showProcessingModal(true, 'Preparing export...', 'Exporting documents...');
+        this.setProcessingProgress(0);
+        this.setProcessingCancel(() => {
+            cancelled = true;
+            this.updateProcessingStatus('Cancelling...');
+        });
+        
+        try {
+            for (let i = 0; i < docs.length && !cancelled; i++) {
+                const doc = docs[i];
+                const source = doc.path;
+                this.updateProcessingStatus(`${i + 1} of ${docs.length}: ${doc.name}`);
+                
+                try {
+                    // Every document is exported whole, with the last used options
+                    const result = await doc.processor.exportFixedPdf({ ...this.exportOptions, pages: null });
+                    if (result) {
+                        // Two uploads can export to the same name, e.g. report.pdf and report.PDF; number the later ones
+                        const path = source.replace(/[^/]*$/, result.fileName);
+                        let output = path;
+                        for (let n = 2; usedPaths.has(output.toLowerCase()); n++) {
+                            output = path.replace(/(\.[^./]*)?$/, ` (${n})$1`);
+                        }
+                        usedPaths.add(output.toLowerCase());
+                        zip.file(output, result.blob);
+                        files.push({ source, output, method: result.method, remaining: result.remaining, unsearchable: result.unsearchable });
+                        exportedDocs.push(doc);
+                    } else {
+                        // The export had no pages to write
+                        files.push({ source, output: null, skipped: 'Nothing to export' });
+                    }
+                } catch (error) {
+                    // One broken file shouldn't stop the rest of the batch
+                    console.error(`Error exporting ${doc.name}:`, error);
+                    files.push({ source, output: null, error: error.message });
+                }
+                
+                // Leave the last tenth of the bar for compression
+                this.setProcessingProgress((i + 1) / docs.length * 0.9);
+            }
+            
+            if (cancelled) {
+                this.showToast('Export cancelled', 'info');
+                return;
+            }
+            
+            zip.file('manifest.json', JSON.stringify({
+                format: 'blackout-breaker-batch',
+                version: 1,
+                generatedAt: new Date().toISOString(),
+                files,
+                findings: this.findingsExporter.build(docs)
+            }, null, 2));
+            
+            this.updateProcessingStatus('Compressing...');
+            const blob = await zip.generateAsync({ type: 'blob' }, (metadata) => {
+                this.setProcessingProgress(0.9 + metadata.percent / 1000);
+            });
+            
+            if (cancelled) {
+                this.showToast('Export cancelled', 'info');
+                return;
+            }
+            
+            // Name the archive after the uploaded folder when everything came from one
+            const roots = new Set(files.map(f => f.source.includes('/') ? f.source.split('/')[0] : ''));
+            const [root] = roots;
+            const fileName = roots.size === 1 && root ? `${root}_unredacted.zip` : 'unredacted.zip';
+            
+            this.saveBlob(blob, fileName);
+            
+            for (const doc of exportedDocs) {
+                doc.isFixed = true;
+                this.scheduleSave(doc);
+            }
+            this.updateFileList();
+            
+            const exported = files.filter(f => f.output).length;
+            this.showToast(`Saved: ${fileName} (${exported} of ${files.length} documents)`, exported < files.length ? 'info' : 'success');
+        } catch (error) {
+            console.error('Error creating ZIP:', error);
+            this.showToast('Error creating ZIP', 'error');
+        } finally {
+            this.showProcessingModal(false);
+        }
+    }
+
+    /**
+     * Download the original document with each redaction marked by a highlight and a note of what was found
+     */
+    async downloadAnnotated() {
+        const doc = this.documents.get(this.currentDocId);
+        if (!doc) {
+            this.showToast('No document selected', 'error');
+            return;
+        }
+        
+        this.showToast('Generating annotated PDF...', 'info');
+        
+        try {
+            const result = await doc.processor.exportAnnotatedPdf(redaction => this.describeFinding(redaction));
+            if (result) {
+                this.saveBlob(result.blob, result.fileName);
+                this.showToast(`Saved: ${result.fileName} (${result.count} note${result.count === 1 ? '' : 's'})`, 'success');
+            } else {
+                this.showToast('Failed to generate PDF', 'error');
+            }
+        } catch (error) {
+            console.error('Error generating annotated PDF:', error);
+            this.showToast('Error generating annotated PDF', 'error');
+        }
+    }
+
+    /**
+     * One-line summary of a redaction for annotation notes: its class, then the recovered text
+     */
+    describeFinding(redaction) {
+        const label = `${this.leakClassLabels[redaction.leakClass]} (${Math.round(redaction.confidence * 100)}%)`;
+        const hiddenText = redaction.hiddenText.map(t => t.text).join(' ');
+        
+        if (hiddenText) return `${label}: ${hiddenText}`;
+        if (redaction.lengthEstimate) return `${label}: about ${redaction.lengthEstimate.characters} characters hidden`;
+        return `${label}: no text recovered`;
+    }
+
     /**
      * Filter documents by search query
      */
@@ -846,14 +2330,37 @@ class BlackoutBreaker {
     /**
      * Show/hide processing modal
      */
-    showProcessingModal(show, message = '') {
+    showProcessingModal(show, message = '', title = 'Processing PDF...') {
         const modal = document.getElementById('processingModal');
         modal.classList.toggle('active', show);
+        if (show) {
+            document.getElementById('processingTitle').textContent = title;
+        } else {
+            this.setProcessingProgress(null);
+            this.setProcessingCancel(null);
+        }
         if (message) {
             document.getElementById('processingStatus').textContent = message;
         }
     }
 
+    /**
+     * Show the processing modal's Cancel button wired to the given function, or hide it with null
+     */
+    setProcessingCancel(cancel) {
+        this.processingCancel = cancel;
+        document.getElementById('cancelProcessingBtn').classList.toggle('active', !!cancel);
+    }
+
+    /**
+     * Show a progress bar in the processing modal (0 to 1), or hide it with null
+     */
+    setProcessingProgress(fraction) {
+        const bar = document.getElementById('processingProgress');
+        bar.classList.toggle('active', fraction !== null);
+        bar.querySelector('.progress-fill').style.width = `${Math.round((fraction || 0) * 100)}%`;
+    }
+
     /**
      * Update processing status message
      */
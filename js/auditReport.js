@@ -0,0 +1,197 @@
+/**
+ * Audit Report for Blackout Breaker
+ * Builds a self-contained HTML report with before/after crops of every redaction, for offline sharing
+ */
+
+class AuditReport {
+    constructor(leakClassLabels) {
+        this.leakClassLabels = leakClassLabels;
+        this.cropPadding = 24;   // Canvas pixels of context around each box
+        this.maxCropWidth = 640; // Larger crops are scaled down to keep the file small
+    }
+
+    /**
+     * Build the report for the given documents as one HTML string, with every image inlined
+     */
+    async build(documents) {
+        const generated = new Date();
+
+        const sections = [];
+        for (const [i, doc] of documents.entries()) {
+            sections.push(await this.renderDocument(doc, i));
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Redaction audit report</title>
+<style>${this.getStyles()}</style>
+</head>
+<body>
+<header>
+<h1>Redaction audit report</h1>
+<p class="meta">Generated ${this.escapeHtml(generated.toLocaleString())} by blackout breaker</p>
+</header>
+${this.renderSummary(documents)}
+${sections.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Table with one row per document and its redaction counts by class
+     */
+    renderSummary(documents) {
+        const classes = Object.keys(this.leakClassLabels);
+
+        const rows = documents.map((doc, i) => {
+            const counts = classes.map(leakClass => doc.redactions.filter(r => r.leakClass === leakClass).length);
+            return `<tr>
+<td><a href="#doc-${i}">${this.escapeHtml(this.getPath(doc))}</a></td>
+<td>${doc.numPages}</td>
+<td>${doc.redactions.length}</td>
+${counts.map(count => `<td>${count}</td>`).join('')}
+</tr>`;
+        });
+
+        return `<section>
+<h2>Summary</h2>
+<table class="summary">
+<thead><tr><th>Document</th><th>Pages</th><th>Redactions</th>${classes.map(c => `<th>${this.leakClassLabels[c]}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</section>`;
+    }
+
+    /**
+     * One section per document, listing each redaction with its crops
+     */
+    async renderDocument(doc, docIndex) {
+        const findings = [];
+
+        // Pages are rendered one at a time for their crops and freed before the next
+        for (const page of doc.pages) {
+            if (page.redactions.length === 0) continue;
+
+            const original = await doc.processor.renderPageImage(page.pageNum, 'original');
+            const fixed = await doc.processor.renderPageImage(page.pageNum, 'fixed');
+            for (const redaction of page.redactions) {
+                findings.push(this.renderRedaction(doc, redaction, doc.redactions.indexOf(redaction), original, fixed));
+            }
+            doc.processor.releaseCanvas(original);
+            doc.processor.releaseCanvas(fixed);
+        }
+
+        return `<section class="document" id="doc-${docIndex}">
+<h2>${this.escapeHtml(this.getPath(doc))}</h2>
+${findings.length > 0 ? findings.join('\n') : '<p class="empty">No redactions detected.</p>'}
+</section>`;
+    }
+
+    /**
+     * Before/after crops from the rendered page, recovered text, and location for one redaction
+     */
+    renderRedaction(doc, redaction, index, original, fixed) {
+        const page = doc.pages[redaction.page - 1];
+        const hiddenText = redaction.hiddenText.map(t => t.text).join(' ');
+        const images = (redaction.recoveredImageIds || [])
+            .map(id => doc.recoveredImages.find(img => img.id === id))
+            .filter(Boolean);
+
+        const crop = this.getCropRect(redaction, page);
+        const before = this.cropCanvas(original, crop);
+        const after = this.cropCanvas(fixed, crop);
+
+        return `<article class="finding ${redaction.leakClass}">
+<h3>#${index + 1} · Page ${redaction.page} · <span class="badge">${this.leakClassLabels[redaction.leakClass] || redaction.leakClass} · ${Math.round(redaction.confidence * 100)}%</span></h3>
+<p class="meta">x: ${Math.round(redaction.pdfX)}, y: ${Math.round(redaction.pdfY)} · ${Math.round(redaction.pdfWidth)} × ${Math.round(redaction.pdfHeight)} pt${redaction.segments.length > 1 ? ` · ${redaction.segments.length} lines` : ''} · ${redaction.detector} detector${redaction.edited ? ', edited by hand' : ''}</p>
+<div class="crops">
+<figure><img src="${before}" alt="Original"><figcaption>Original</figcaption></figure>
+<figure><img src="${after}" alt="Redactions removed"><figcaption>Redactions removed</figcaption></figure>
+</div>
+${hiddenText ? `<pre class="recovered">${this.escapeHtml(hiddenText)}</pre>` : '<p class="empty">No text recovered.</p>'}
+${images.map(image => `<figure class="recovered-image"><img src="${image.thumbnail}" alt="Recovered image"><figcaption>Recovered image, ${image.width} × ${image.height} px native</figcaption></figure>`).join('\n')}
+</article>`;
+    }
+
+    /**
+     * The redaction's bounding box plus some context, clamped to the page
+     */
+    getCropRect(redaction, page) {
+        const left = Math.max(0, Math.floor(redaction.x - this.cropPadding));
+        const top = Math.max(0, Math.floor(redaction.y - this.cropPadding));
+        const right = Math.min(page.width, Math.ceil(redaction.x + redaction.width + this.cropPadding));
+        const bottom = Math.min(page.height, Math.ceil(redaction.y + redaction.height + this.cropPadding));
+
+        return { x: left, y: top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+    }
+
+    /**
+     * Copy part of a canvas into a PNG data URL
+     */
+    cropCanvas(source, crop) {
+        const scale = Math.min(1, this.maxCropWidth / crop.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(crop.width * scale);
+        canvas.height = Math.round(crop.height * scale);
+
+        canvas.getContext('2d').drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Path inside an uploaded folder, or just the file name
+     */
+    getPath(doc) {
+        return doc.path;
+    }
+
+    /**
+     * Inline stylesheet, so the report needs nothing but the file itself
+     */
+    getStyles() {
+        return `
+body { margin: 0 auto; max-width: 1100px; padding: 24px; font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; }
+h1 { margin: 0; font-size: 24px; }
+h2 { margin: 32px 0 12px; padding-bottom: 6px; border-bottom: 1px solid #d0d7de; font-size: 18px; word-break: break-all; }
+h3 { margin: 0 0 4px; font-size: 15px; }
+.meta { margin: 0 0 8px; color: #59636e; font-size: 12px; }
+table.summary { width: 100%; border-collapse: collapse; }
+.summary th, .summary td { padding: 6px 8px; border: 1px solid #d0d7de; text-align: right; }
+.summary th:first-child, .summary td:first-child { text-align: left; word-break: break-all; }
+.summary th { background: #f6f8fa; }
+.finding { margin: 16px 0; padding: 12px 16px; border: 1px solid #d0d7de; border-left: 4px solid #8c959f; border-radius: 6px; page-break-inside: avoid; }
+.finding.leaked-text { border-left-color: #cf222e; }
+.finding.leaked-image { border-left-color: #bf8700; }
+.finding.flattened { border-left-color: #1a7f37; }
+.badge { font-weight: normal; color: #59636e; }
+.crops { display: flex; flex-wrap: wrap; gap: 12px; }
+figure { margin: 0; }
+figure img { display: block; max-width: 100%; border: 1px solid #d0d7de; }
+figcaption { color: #59636e; font-size: 12px; }
+.recovered { margin: 8px 0 0; padding: 8px; background: #fff8c5; border-radius: 4px; white-space: pre-wrap; word-break: break-word; }
+.recovered-image { margin-top: 8px; }
+.empty { color: #59636e; font-style: italic; }
+`;
+    }
+
+    /**
+     * Escape text for HTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Make available globally
+window.AuditReport = AuditReport;
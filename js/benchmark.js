@@ -0,0 +1,385 @@
+/**
+ * Raster Detector Benchmark for Blackout Breaker
+ * Times the pixel scan on generated fixture PDFs, and any PDFs you add, and checks what it finds
+ * against the boxes each fixture was drawn with
+ */
+
+class RedactionBenchmark {
+    constructor() {
+        this.processor = new PDFProcessor();
+        this.runs = 5;        // Each page is scanned this many times and the median is reported
+        this.slowRunMs = 1000; // Pages slower than this are only scanned once
+        this.minIoU = 0.5;    // A found box counts as a fixture box when they overlap at least this much
+        this.fixtures = [];   // { name, data, expected: [{ page, rect: [x1, y1, x2, y2] }] or null }
+
+        this.init();
+    }
+
+    /**
+     * Initialize the page
+     */
+    init() {
+        this.runBtn = document.getElementById('runBenchmarkBtn');
+        this.fileInput = document.getElementById('benchmarkFileInput');
+        this.legacyInput = document.getElementById('benchmarkLegacy');
+        this.status = document.getElementById('benchmarkStatus');
+        this.results = document.getElementById('benchmarkResults');
+
+        this.runBtn.addEventListener('click', () => this.run());
+        document.getElementById('benchmarkFileBtn').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', async (e) => {
+            for (const file of e.target.files) {
+                this.fixtures.push({ name: file.name, data: new Uint8Array(await file.arrayBuffer()), expected: null });
+            }
+            this.setStatus(`${e.target.files.length} file(s) added; they run after the fixtures`);
+            e.target.value = '';
+        });
+
+        document.getElementById('benchmarkDpi').textContent = this.processor.analysisDpi;
+    }
+
+    /**
+     * Build the fixtures (once) and benchmark every document
+     */
+    async run() {
+        this.runBtn.disabled = true;
+        this.results.innerHTML = '';
+
+        try {
+            if (!this.fixtures.some(f => f.expected)) {
+                this.setStatus('Generating fixtures...');
+                this.fixtures.unshift(...await this.buildFixtures());
+            }
+
+            for (const fixture of this.fixtures) {
+                this.setStatus(`Scanning ${fixture.name}...`);
+                this.renderResult(await this.measure(fixture));
+            }
+            this.setStatus('Done');
+        } catch (error) {
+            console.error('Benchmark failed:', error);
+            this.setStatus(`Benchmark failed: ${error.message}`);
+        } finally {
+            this.runBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Render every page at the analysis resolution and time both detectors on it
+     */
+    async measure(fixture) {
+        const pdf = await pdfjsLib.getDocument({ data: fixture.data.slice() }).promise;
+        const result = { name: fixture.name, pages: pdf.numPages, pixels: 0, current: [], legacy: [], found: {}, expected: null };
+        const matched = { current: 0, legacy: 0 };
+        const extra = { current: 0, legacy: 0 };
+
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            const viewport = page.getViewport({ scale: this.processor.analysisDpi / 72 });
+            const canvas = this.processor.createCanvas(viewport.width, viewport.height);
+            const context = canvas.getContext('2d');
+            await page.render({ canvasContext: context, viewport }).promise;
+
+            const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+            result.pixels += canvas.width * canvas.height;
+            this.processor.releaseCanvas(canvas);
+
+            // Only the pixel scan is timed; the text layer is left out so text-seeded fills don't skew it
+            const detectors = { current: () => this.processor.detectRedactions(imageData, pageNum, viewport) };
+            if (this.legacyInput.checked) {
+                detectors.legacy = () => this.legacyDetect(imageData, pageNum, viewport);
+            }
+
+            for (const [name, detect] of Object.entries(detectors)) {
+                const times = [];
+                let redactions = [];
+                for (let i = 0; i < this.runs; i++) {
+                    const start = performance.now();
+                    redactions = detect();
+                    times.push(performance.now() - start);
+                    if (times[0] > this.slowRunMs) break;
+                }
+                result[name].push(this.median(times));
+
+                const boxes = redactions.flatMap(r => r.segments);
+                result.found[name] = (result.found[name] || 0) + boxes.length;
+
+                if (fixture.expected) {
+                    const expected = fixture.expected
+                        .filter(e => e.page === pageNum)
+                        .map(e => this.processor.toCanvasRect(e.rect, viewport));
+                    const hits = expected.filter(e => boxes.some(box => this.iou(e, box) >= this.minIoU)).length;
+                    matched[name] += hits;
+                    extra[name] += boxes.filter(box => !expected.some(e => this.iou(e, box) >= this.minIoU)).length;
+                }
+            }
+
+            page.cleanup();
+        }
+
+        await pdf.destroy();
+
+        if (fixture.expected) {
+            result.expected = fixture.expected.length;
+            result.matched = matched;
+            result.extra = extra;
+        }
+        return result;
+    }
+
+    /**
+     * The previous detector, kept for comparison: sample every 5th pixel, grow a box from each
+     * matching sample row by row, and sample its fill
+     */
+    legacyDetect(imageData, pageNum, viewport) {
+        const processor = this.processor;
+        const { data, width, height } = imageData;
+        const { minRedactionSize, minRedactionHeight, minFillRatio } = processor.settings;
+        const redactions = [];
+        const visited = new Set();
+
+        const colorAt = (x, y) => {
+            const idx = (y * width + x) * 4;
+            return [data[idx], data[idx + 1], data[idx + 2]];
+        };
+
+        const scanProfiles = processor.getFillProfiles().filter(p => !p.requireText && p.mode === 'color');
+
+        for (let y = 0; y < height; y += 5) {
+            for (let x = 0; x < width; x += 5) {
+                if (visited.has(`${x},${y}`)) continue;
+
+                const profile = processor.matchFillProfile(colorAt(x, y), scanProfiles);
+                if (!profile) continue;
+
+                const matches = (mx, my) => mx >= 0 && mx < width && my >= 0 && my < height &&
+                    processor.colorWithinTolerance(colorAt(mx, my), profile.color, profile.tolerance);
+                const region = processor.expandRegion(matches, x, y, width, height);
+
+                for (let vy = region.minY; vy <= region.maxY; vy += 5) {
+                    for (let vx = region.minX; vx <= region.maxX; vx += 5) {
+                        visited.add(`${vx},${vy}`);
+                    }
+                }
+
+                const rectWidth = region.maxX - region.minX;
+                const rectHeight = region.maxY - region.minY;
+                if (rectWidth < minRedactionSize || rectHeight < minRedactionHeight) continue;
+                if (processor.measureFill(matches, region) <= minFillRatio) continue;
+
+                const pdfRect = processor.canvasToPdfRect(region.minX, region.minY, rectWidth, rectHeight, viewport);
+                redactions.push(processor.createRedaction(pageNum, pdfRect, viewport, 'raster', {
+                    profile: profile.id,
+                    color: processor.toHexColor(colorAt(x, y))
+                }));
+            }
+        }
+
+        return processor.mergeRedactions(redactions);
+    }
+
+    /**
+     * Generate the fixture PDFs with pdf-lib, recording every box drawn on them
+     */
+    async buildFixtures() {
+        const { PDFDocument, StandardFonts, rgb } = PDFLib;
+        const random = this.seededRandom(22);
+        const filler = 'The witness stated that the meeting took place on the date in question and that';
+        const fixtures = [];
+
+        const create = async (name, build) => {
+            const pdfDoc = await PDFDocument.create();
+            const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+            const expected = [];
+
+            const record = (pageNum, rect) => expected.push({ page: pageNum, rect });
+
+            // Boxes are given top-down like the page reads, and stored in PDF user space
+            const box = (page, pageNum, x, top, width, height) => {
+                const y = page.getHeight() - top - height;
+                page.drawRectangle({ x, y, width, height, color: rgb(0, 0, 0) });
+                record(pageNum, [x, y, x + width, y + height]);
+            };
+
+            await build(pdfDoc, font, box, record);
+            fixtures.push({ name, data: await pdfDoc.save(), expected });
+        };
+
+        // Body text with boxes over words, sometimes on consecutive lines
+        await create('Letter with redacted words', (pdfDoc, font, box) => {
+            for (let pageNum = 1; pageNum <= 3; pageNum++) {
+                const page = pdfDoc.addPage([612, 792]);
+                for (let top = 60; top < 740; top += 16) {
+                    page.drawText(filler, { x: 54, y: 792 - top - 11, size: 11, font });
+                    if (random() < 0.4) {
+                        const x = 54 + Math.floor(random() * 300);
+                        box(page, pageNum, x, top - 1, 40 + Math.floor(random() * 160), 14);
+                    }
+                }
+            }
+        });
+
+        // Many small boxes spaced just beyond the merge gap
+        await create('Dense grid of small boxes', (pdfDoc, font, box) => {
+            const page = pdfDoc.addPage([612, 792]);
+            for (let row = 0; row < 28; row++) {
+                for (let col = 0; col < 10; col++) {
+                    box(page, 1, 40 + col * 54, 40 + row * 25, 36, 11);
+                }
+            }
+        });
+
+        // One box covering most of the page, with a caption that touches it
+        await create('Large block', (pdfDoc, font, box) => {
+            const page = pdfDoc.addPage([612, 792]);
+            page.drawText('EXHIBIT 12 (withheld in full under exemption b6)', { x: 60, y: 712, size: 14, font });
+            box(page, 1, 60, 82, 492, 620);
+            page.drawText(filler, { x: 54, y: 60, size: 11, font });
+        });
+
+        // A long page, such as a receipt or a stitched scroll
+        await create('Tall page', (pdfDoc, font, box) => {
+            const page = pdfDoc.addPage([612, 4000]);
+            for (let top = 40; top < 3940; top += 20) {
+                page.drawText(filler, { x: 54, y: 4000 - top - 12, size: 11, font });
+            }
+            for (let top = 100; top < 3900; top += 180) {
+                box(page, 1, 80 + Math.floor(random() * 200), top, 60 + Math.floor(random() * 200), 14);
+            }
+        });
+
+        // A noisy page image with boxes, like a photocopied production
+        await create('Scanned page', async (pdfDoc, font, box, record) => {
+            const image = await this.scannedPageImage(random);
+            const page = pdfDoc.addPage([612, 792]);
+            page.drawImage(await pdfDoc.embedJpg(image.bytes), { x: 0, y: 0, width: 612, height: 792 });
+
+            // The boxes are part of the image, so they are only recorded (image pixels to points)
+            const ratio = 612 / image.width;
+            for (const [x, y, width, height] of image.boxes) {
+                record(1, [x * ratio, 792 - (y + height) * ratio, (x + width) * ratio, 792 - y * ratio]);
+            }
+        });
+
+        return fixtures;
+    }
+
+    /**
+     * Draw a letter-size page at 150 DPI with text and boxes, then add grain, speckles in the boxes,
+     * and JPEG artifacts
+     */
+    async scannedPageImage(random) {
+        const canvas = this.processor.createCanvas(1275, 1650);
+        const ctx = canvas.getContext('2d');
+        const boxes = [];
+
+        ctx.fillStyle = '#f4f1ea';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.font = '23px serif';
+        for (let top = 120; top < 1540; top += 34) {
+            ctx.fillStyle = '#1a1a1a';
+            ctx.fillText('The witness stated that the meeting took place on the date in question and', 110, top + 23);
+            if (random() < 0.35) {
+                const box = [110 + Math.floor(random() * 600), top, 80 + Math.floor(random() * 300), 30];
+                ctx.fillStyle = '#060606';
+                ctx.fillRect(...box);
+                boxes.push(box);
+            }
+        }
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const { data } = imageData;
+        for (let i = 0; i < data.length; i += 4) {
+            const speckle = data[i] < 64 && random() < 0.002 ? 160 : 0;
+            const grain = Math.floor((random() - 0.5) * 24) + speckle;
+            data[i] = Math.max(0, Math.min(255, data[i] + grain));
+            data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + grain));
+            data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + grain));
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.75));
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const { width, height } = canvas;
+        this.processor.releaseCanvas(canvas);
+
+        return { bytes, width, height, boxes };
+    }
+
+    /**
+     * Deterministic random numbers, so every run uses the same fixtures
+     */
+    seededRandom(seed) {
+        let state = seed;
+        return () => {
+            state = (state * 1664525 + 1013904223) % 4294967296;
+            return state / 4294967296;
+        };
+    }
+
+    /**
+     * Median of a list of timings
+     */
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    /**
+     * Intersection over union of two canvas rectangles
+     */
+    iou(a, b) {
+        const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        if (width <= 0 || height <= 0) return 0;
+
+        const overlap = width * height;
+        return overlap / (a.width * a.height + b.width * b.height - overlap);
+    }
+
+    /**
+     * Add a row to the results table
+     */
+    renderResult(result) {
+        const total = (times) => times.length ? `${times.reduce((sum, t) => sum + t, 0).toFixed(1)} ms` : '—';
+        const found = (name) => {
+            if (!(name in result.found)) return '—';
+            if (result.expected === null) return result.found[name];
+            return `${result.matched[name]} / ${result.expected} (${result.extra[name]} extra)`;
+        };
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${this.escapeHtml(result.name)}</td>
+            <td>${result.pages}</td>
+            <td>${(result.pixels / 1e6).toFixed(1)} MP</td>
+            <td>${total(result.current)}</td>
+            <td>${total(result.legacy)}</td>
+            <td>${found('current')}</td>
+            <td>${found('legacy')}</td>
+        `;
+        this.results.appendChild(row);
+    }
+
+    /**
+     * Show a status line above the results
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.RedactionBenchmark = RedactionBenchmark;
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.benchmark = new RedactionBenchmark();
+});
@@ -0,0 +1,297 @@
+/**
+ * Detection Settings for Blackout Breaker
+ * Applies detection heuristics to a PDFProcessor and manages named presets
+ */
+
+class DetectionSettings {
+    constructor(processor) {
+        this.processor = processor;
+        this.storageKey = 'blackoutBreaker.detectionSettings';
+        this.exportFormat = 'blackout-breaker-presets';
+        this.exportVersion = 1;
+
+        // Editable heuristics shown in the settings panel, keyed by PDFProcessor.settings
+        this.fields = [
+            { key: 'minRedactionSize', label: 'Minimum box width', unit: 'px', min: 1, max: 500, step: 1 },
+            { key: 'minRedactionHeight', label: 'Minimum box height', unit: 'px', min: 1, max: 500, step: 1 },
+            { key: 'minFillRatio', label: 'Fill ratio', min: 0.5, max: 1, step: 0.01 },
+            { key: 'mergeGap', label: 'Merge gap', unit: 'px', min: 0, max: 100, step: 1 },
+            { key: 'textOverlapRatio', label: 'Hidden text overlap', min: 0.05, max: 1, step: 0.05 },
+            { key: 'overlayOverlapRatio', label: 'Overlay text overlap', min: 0.05, max: 1, step: 0.05 }
+        ];
+
+        // Presets only store what differs from the defaults captured here
+        this.defaults = this.capture();
+        this.builtInPresets = [
+            { name: 'Default', settings: {}, fillProfiles: {} },
+            {
+                name: 'Court filings',
+                settings: { minFillRatio: 0.9, mergeGap: 6 },
+                fillProfiles: { gray: { enabled: false } }
+            },
+            {
+                name: 'FOIA scans',
+                settings: { minRedactionSize: 12, minRedactionHeight: 6, minFillRatio: 0.7, mergeGap: 16 },
+                fillProfiles: { black: { tolerance: 70 }, gray: { tolerance: 60 } }
+            }
+        ];
+
+        this.userPresets = [];
+        this.activePreset = 'Default';
+        this.restore();
+    }
+
+    /**
+     * Snapshot the processor's current settings and fill profiles
+     */
+    capture() {
+        const fillProfiles = {};
+        for (const profile of this.processor.fillProfiles) {
+            fillProfiles[profile.id] = { enabled: profile.enabled, tolerance: profile.tolerance };
+        }
+
+        return { settings: { ...this.processor.settings }, fillProfiles };
+    }
+
+    /**
+     * Write settings and fill profiles onto the processor, on top of the defaults
+     */
+    apply(values) {
+        const normalized = this.normalize(values);
+
+        Object.assign(this.processor.settings, this.defaults.settings, normalized.settings);
+
+        for (const profile of this.processor.fillProfiles) {
+            Object.assign(profile, this.defaults.fillProfiles[profile.id], normalized.fillProfiles[profile.id]);
+        }
+    }
+
+    /**
+     * Change a single heuristic, leaving the active preset
+     */
+    setValue(key, value) {
+        const field = this.fields.find(f => f.key === key);
+        if (!field || !Number.isFinite(value)) return;
+
+        this.processor.settings[key] = this.clamp(value, field.min, field.max);
+        this.activePreset = null;
+        this.persist();
+    }
+
+    /**
+     * Change a fill profile's enabled flag or tolerance, leaving the active preset
+     */
+    setFillProfile(id, changes) {
+        const profile = this.processor.fillProfiles.find(p => p.id === id);
+        if (!profile) return;
+
+        const normalized = this.normalizeFillProfile(changes);
+        Object.assign(profile, normalized);
+        this.activePreset = null;
+        this.persist();
+    }
+
+    /**
+     * Built-in presets followed by the user's own
+     */
+    getPresets() {
+        return this.builtInPresets.concat(this.userPresets);
+    }
+
+    /**
+     * Find a preset by name
+     */
+    getPreset(name) {
+        return this.getPresets().find(p => p.name === name) || null;
+    }
+
+    /**
+     * Apply a preset by name
+     */
+    loadPreset(name) {
+        const preset = this.getPreset(name);
+        if (!preset) {
+            throw new Error(`Unknown preset: ${name}`);
+        }
+
+        this.apply(preset);
+        this.activePreset = name;
+        this.persist();
+    }
+
+    /**
+     * Save the current settings as a named user preset, replacing one with the same name
+     */
+    savePreset(name) {
+        name = (name || '').trim();
+        if (!name) {
+            throw new Error('Preset name is required');
+        }
+        if (this.builtInPresets.some(p => p.name === name)) {
+            throw new Error(`"${name}" is a built-in preset`);
+        }
+
+        const preset = { name, ...this.capture() };
+        const existing = this.userPresets.findIndex(p => p.name === name);
+
+        if (existing >= 0) {
+            this.userPresets[existing] = preset;
+        } else {
+            this.userPresets.push(preset);
+        }
+
+        this.activePreset = name;
+        this.persist();
+    }
+
+    /**
+     * Delete a user preset
+     */
+    deletePreset(name) {
+        this.userPresets = this.userPresets.filter(p => p.name !== name);
+        if (this.activePreset === name) this.activePreset = null;
+        this.persist();
+    }
+
+    /**
+     * Serialize the user presets as JSON for sharing
+     */
+    exportPresets() {
+        return JSON.stringify({
+            format: this.exportFormat,
+            version: this.exportVersion,
+            presets: this.userPresets
+        }, null, 2);
+    }
+
+    /**
+     * Add presets from exported JSON, returning the number imported
+     */
+    importPresets(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Preset file is not valid JSON');
+        }
+
+        if (!data || data.format !== this.exportFormat || !Array.isArray(data.presets)) {
+            throw new Error('Not a Blackout Breaker preset file');
+        }
+        if (data.version > this.exportVersion) {
+            throw new Error(`Preset file version ${data.version} is newer than this app supports`);
+        }
+
+        let count = 0;
+        for (const preset of data.presets) {
+            if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) continue;
+
+            let name = preset.name.trim();
+            if (this.builtInPresets.some(p => p.name === name)) name += ' (imported)';
+
+            const imported = { name, ...this.normalize(preset) };
+            const existing = this.userPresets.findIndex(p => p.name === name);
+
+            if (existing >= 0) {
+                this.userPresets[existing] = imported;
+            } else {
+                this.userPresets.push(imported);
+            }
+            count++;
+        }
+
+        this.persist();
+        return count;
+    }
+
+    /**
+     * Keep only known settings and profiles, clamped to their allowed ranges
+     */
+    normalize(values) {
+        const settings = {};
+        const fillProfiles = {};
+
+        for (const field of this.fields) {
+            const value = values.settings && values.settings[field.key] != null ? Number(values.settings[field.key]) : NaN;
+            if (Number.isFinite(value)) {
+                settings[field.key] = this.clamp(value, field.min, field.max);
+            }
+        }
+
+        for (const profile of this.processor.fillProfiles) {
+            if (values.fillProfiles && values.fillProfiles[profile.id]) {
+                fillProfiles[profile.id] = this.normalizeFillProfile(values.fillProfiles[profile.id]);
+            }
+        }
+
+        return { settings, fillProfiles };
+    }
+
+    /**
+     * Validate the editable fields of a fill profile
+     */
+    normalizeFillProfile(values) {
+        const normalized = {};
+
+        if (typeof values.enabled === 'boolean') {
+            normalized.enabled = values.enabled;
+        }
+
+        const tolerance = Number(values.tolerance);
+        if (values.tolerance !== undefined && Number.isFinite(tolerance)) {
+            normalized.tolerance = this.clamp(tolerance, 0, 255);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Limit a value to a range
+     */
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * Save user presets and the current settings so they survive a reload
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                presets: this.userPresets,
+                activePreset: this.activePreset,
+                current: this.capture()
+            }));
+        } catch (error) {
+            // Storage can be unavailable (private browsing, quota); settings still apply for this session
+            console.warn('Could not save detection settings:', error);
+        }
+    }
+
+    /**
+     * Load user presets and the last used settings
+     */
+    restore() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.warn('Could not read saved detection settings:', error);
+        }
+        if (!stored) return;
+
+        if (Array.isArray(stored.presets)) {
+            this.userPresets = stored.presets
+                .filter(p => p && typeof p.name === 'string')
+                .map(p => ({ name: p.name, ...this.normalize(p) }));
+        }
+
+        if (stored.current) {
+            this.apply(stored.current);
+        }
+        this.activePreset = this.getPreset(stored.activePreset) ? stored.activePreset : null;
+    }
+}
+
+// Make available globally
+window.DetectionSettings = DetectionSettings;
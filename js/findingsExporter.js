@@ -0,0 +1,136 @@
+/**
+ * Findings Exporter for Blackout Breaker
+ * Serializes detected redactions as JSON or CSV following the versioned schema described in the README
+ */
+
+class FindingsExporter {
+    constructor() {
+        this.format = 'blackout-breaker-findings';
+        // Bumped only for breaking changes (removed or renamed fields, changed units); new fields keep the version
+        this.schemaVersion = 1;
+
+        this.csvColumns = [
+            'schema_version', 'file', 'path', 'page', 'index',
+            'pdf_x', 'pdf_y', 'pdf_width', 'pdf_height', 'lines',
+            'detector', 'annotation_type', 'leak_class', 'confidence', 'fill_profile', 'fill_color', 'edited',
+            'hidden_text', 'text_items', 'estimated_characters'
+        ];
+    }
+
+    /**
+     * Build the findings for each document: one entry per redaction, in PDF points with a top-left origin
+     */
+    collect(documents) {
+        return documents.map(doc => ({
+            file: doc.name,
+            path: doc.path,
+            numPages: doc.numPages,
+            findings: doc.redactions.map((redaction, index) => this.describeRedaction(doc, redaction, index))
+        }));
+    }
+
+    /**
+     * Flatten one redaction into the schema's finding fields
+     */
+    describeRedaction(doc, redaction, index) {
+        const page = doc.pages[redaction.page - 1];
+        const scale = page.viewport.scale;
+        const styles = (page.textContent && page.textContent.styles) || {};
+
+        return {
+            page: redaction.page,
+            index,
+            pdfX: this.round(redaction.pdfX),
+            pdfY: this.round(redaction.pdfY),
+            pdfWidth: this.round(redaction.pdfWidth),
+            pdfHeight: this.round(redaction.pdfHeight),
+            lines: redaction.segments.map(segment => ({
+                pdfX: this.round(segment.x / scale),
+                pdfY: this.round(segment.y / scale),
+                pdfWidth: this.round(segment.width / scale),
+                pdfHeight: this.round(segment.height / scale)
+            })),
+            detector: redaction.detector,
+            annotationType: redaction.annotationType || null,
+            leakClass: redaction.leakClass,
+            confidence: this.round(redaction.confidence),
+            fillProfile: redaction.fillProfile,
+            fillColor: redaction.fillColor,
+            edited: !!redaction.edited,
+            hiddenText: redaction.hiddenText.map(t => t.text).join(' '),
+            textItems: redaction.hiddenText.map(t => ({
+                text: t.text,
+                fontName: t.fontName,
+                fontFamily: styles[t.fontName] ? styles[t.fontName].fontFamily : null,
+                fontSize: this.round(t.fontSize / scale),
+                pdfX: this.round(t.x / scale),
+                pdfY: this.round(t.y / scale), // Baseline
+                pdfWidth: this.round(t.width / scale)
+            })),
+            lengthEstimate: redaction.lengthEstimate || null
+        };
+    }
+
+    /**
+     * The findings document: format, schema version, and the findings of each document
+     */
+    build(documents) {
+        return {
+            format: this.format,
+            version: this.schemaVersion,
+            generatedAt: new Date().toISOString(),
+            documents: this.collect(documents)
+        };
+    }
+
+    /**
+     * Serialize findings as a JSON document
+     */
+    toJson(documents) {
+        return JSON.stringify(this.build(documents), null, 2);
+    }
+
+    /**
+     * Serialize findings as CSV, one row per redaction; text items are a JSON array in their column
+     */
+    toCsv(documents) {
+        const rows = [this.csvColumns];
+
+        for (const doc of this.collect(documents)) {
+            for (const finding of doc.findings) {
+                rows.push([
+                    this.schemaVersion, doc.file, doc.path, finding.page, finding.index,
+                    finding.pdfX, finding.pdfY, finding.pdfWidth, finding.pdfHeight, finding.lines.length,
+                    finding.detector, finding.annotationType, finding.leakClass, finding.confidence,
+                    finding.fillProfile, finding.fillColor, finding.edited,
+                    finding.hiddenText, JSON.stringify(finding.textItems),
+                    finding.lengthEstimate ? finding.lengthEstimate.characters : null
+                ]);
+            }
+        }
+
+        return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when needed; empty for null. Text that a spreadsheet would run as a formula
+     * (file names and hidden text come from the PDF) is prefixed with an apostrophe.
+     */
+    escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Round to two decimals so exports stay readable
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Make available globally
+window.FindingsExporter = FindingsExporter;
@@ -0,0 +1,125 @@
+/**
+ * Length Estimator for Blackout Breaker
+ * Estimates how many characters fit under a redaction and ranks candidate strings by width
+ */
+
+class LengthEstimator {
+    constructor() {
+        // Also runs in the page worker, which has no document
+        const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(1, 1);
+        this.measureCtx = canvas.getContext('2d');
+    }
+
+    /**
+     * Estimate the character count hidden by a redaction from the surrounding text style,
+     * adding up each line of a multi-line redaction
+     */
+    estimate(redaction, textContent) {
+        let result = null;
+
+        for (const segment of redaction.segments) {
+            const style = this.findReferenceStyle(segment.pdfRect, textContent);
+            if (!style) return null;
+
+            const boxWidth = segment.pdfRect[2] - segment.pdfRect[0];
+            result = result || { characters: 0, min: 0, max: 0, fontName: style.fontName, fontSize: style.fontSize };
+
+            // Narrow runs (ilj) and wide runs (MW) stretch the average by roughly a fifth either way
+            result.characters += Math.max(1, Math.round(boxWidth / style.charWidth));
+            result.min += Math.max(1, Math.floor(boxWidth / (style.charWidth * 1.25)));
+            result.max += Math.max(1, Math.ceil(boxWidth / (style.charWidth * 0.8)));
+        }
+
+        return result;
+    }
+
+    /**
+     * Rank candidate strings by how closely their rendered width fits the redaction.
+     * Text wrapped over several lines is compared against the combined line width.
+     */
+    rankCandidates(redaction, textContent, candidates) {
+        const [first] = redaction.segments;
+        const style = this.findReferenceStyle(first.pdfRect, textContent);
+        if (!style) return [];
+
+        const boxWidth = redaction.segments.reduce((sum, segment) => sum + segment.pdfRect[2] - segment.pdfRect[0], 0);
+
+        return candidates
+            .map(text => {
+                const width = this.measure(text, style);
+                return {
+                    text,
+                    width,
+                    fit: Math.max(0, 1 - Math.abs(width - boxWidth) / boxWidth)
+                };
+            })
+            .sort((a, b) => b.fit - a.fit);
+    }
+
+    /**
+     * Width of a string in PDF points, in the reference font and size
+     */
+    measure(text, style) {
+        this.measureCtx.font = this.getCssFont(style.fontName, style.fontSize, style.fontFamily);
+        return this.measureCtx.measureText(text).width * style.calibration;
+    }
+
+    /**
+     * Pick the font and size of the text next to a redaction line (same line first, then nearest on the page)
+     * and calibrate canvas measurements against that font's real widths on the page
+     */
+    findReferenceStyle(pdfRect, textContent) {
+        const items = textContent.items.filter(item => item.str && item.str.trim() !== '' && item.width > 0);
+        if (items.length === 0) return null;
+
+        const [left, bottom, right, top] = pdfRect;
+        const centerY = (bottom + top) / 2;
+
+        const distanceTo = (item) => {
+            const fontSize = Math.abs(item.transform[0]) || 12;
+            const itemLeft = item.transform[4];
+            const itemBottom = item.transform[5];
+            const dx = Math.max(0, itemLeft - right, left - (itemLeft + item.width));
+            const dy = Math.abs((itemBottom + fontSize / 3) - centerY);
+
+            // Anything on the same line beats anything on another line
+            const sameLine = itemBottom + fontSize >= bottom && itemBottom <= top;
+            return (sameLine ? 0 : 100000) + dx + dy;
+        };
+
+        const reference = items.reduce((best, item) => distanceTo(item) < distanceTo(best) ? item : best);
+        const fontName = reference.fontName;
+        const fontSize = Math.abs(reference.transform[0]) || 12;
+        const style = textContent.styles && textContent.styles[fontName];
+        const fontFamily = style ? style.fontFamily : 'sans-serif';
+
+        // Use every run in the same font and size to average out glyph differences
+        const sameFont = items.filter(item =>
+            item.fontName === fontName && Math.abs((Math.abs(item.transform[0]) || 12) - fontSize) < 0.5
+        );
+
+        const totalWidth = sameFont.reduce((sum, item) => sum + item.width, 0);
+        const totalChars = sameFont.reduce((sum, item) => sum + item.str.length, 0);
+
+        this.measureCtx.font = this.getCssFont(fontName, fontSize, fontFamily);
+        const measuredWidth = sameFont.reduce((sum, item) => sum + this.measureCtx.measureText(item.str).width, 0);
+
+        return {
+            fontName,
+            fontSize,
+            fontFamily,
+            charWidth: totalWidth / totalChars,
+            calibration: measuredWidth > 0 ? totalWidth / measuredWidth : 1
+        };
+    }
+
+    /**
+     * pdf.js registers embedded fonts under their loaded name, with the style's family as fallback
+     */
+    getCssFont(fontName, fontSize, fontFamily) {
+        return `${fontSize}px "${fontName}", ${fontFamily}`;
+    }
+}
+
+// Make available globally
+window.LengthEstimator = LengthEstimator;
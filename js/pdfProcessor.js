@@ -6,47 +6,83 @@
 class PDFProcessor {
     constructor() {
         // Initialize PDF.js worker
-        if (typeof pdfjsLib !== 'undefined') {
-            pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+        if (typeof pdfjsLib !== 'undefined' && typeof document !== 'undefined') {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = 'vendor/pdfjs/pdf.worker.min.js';
         }
         
         this.currentPdf = null;
+        this.loadingTask = null;   // pdf.js's handle on the open document, kept so it can be destroyed
         this.pdfData = null;
         this.pages = [];
         this.redactions = [];
-        this.scale = 1.5;
+        this.recoveredImages = [];
+        this.scale = 1.5;          // Display scale; findings are re-measured when it changes
+        this.analysisDpi = 108;    // Pages are always scanned at this resolution (1.5x), so zooming never changes what is found
         this.fileName = '';
+        this.lengthEstimator = new LengthEstimator();
+        this.pdfRewriter = new PdfRewriter(this);
+        
+        // Fixed-PDF export options. dpi, imageFormat, and imageQuality only apply to page images.
+        this.exportDefaults = {
+            pages: null,               // 1-based page numbers to include, or null for all
+            forceRaster: false,        // Save page images even when the original file could be edited
+            dpi: 150,
+            imageFormat: 'jpeg',       // 'jpeg' or 'png'
+            imageQuality: 0.92,        // JPEG only
+            recoveredStyle: 'none',    // 'none', 'highlight', or 'underline' on boxes that hid text
+            recoveredColor: '#ffd33d',
+            footer: false              // Stamp the file name and page number on each page
+        };
+        this.footerSize = 8;    // Points
+        this.footerMargin = 18; // Points from the left and bottom edges of the page as shown
+        
+        // Detection heuristics, tunable from the settings panel. Raster sizes are in pixels at the analysis resolution.
+        this.settings = {
+            minRedactionSize: 20,      // Minimum width of a raster box
+            minRedactionHeight: 8,     // Minimum height of a raster box
+            minFillRatio: 0.85,        // Share of a raster box that must match the fill
+            mergeGap: 10,              // Boxes closer than this are merged into one
+            textOverlapRatio: 0.5,     // Share of a text item that must sit under a box to count as hidden
+            overlayOverlapRatio: 0.3   // Share of a text item under a box before it's drawn on the fixed page
+        };
+        
+        // Fill colors that count as redaction boxes, checked in order.
+        // Profiles with requireText only match when the box hides text underneath.
+        this.fillProfiles = [
+            { id: 'black', label: 'Black', mode: 'color', color: [0, 0, 0], tolerance: 30, enabled: true },
+            { id: 'gray', label: 'Gray', mode: 'color', color: [128, 128, 128], tolerance: 48, requireText: true, enabled: true },
+            { id: 'white', label: 'White', mode: 'color', color: [255, 255, 255], tolerance: 8, requireText: true, enabled: true },
+            { id: 'uniform', label: 'Any solid fill', mode: 'uniform', tolerance: 8, requireText: true, enabled: false }
+        ];
+        
+        // Pages are rendered and scanned in a worker where the browser supports OffscreenCanvas
+        this.workerSrc = 'js/pdfWorker.js';
+        this.workerUnavailable = false; // Set once the worker fails to start, e.g. when opened from file://
+        this.cancelRun = null;          // Stops the page run in progress
     }
 
     /**
-     * Load a PDF from a File object
+     * Load a PDF from a File object. onProgress(pageNum, numPages) is called as each page finishes.
      */
-    async loadPdf(file) {
+    async loadPdf(file, onProgress) {
         this.fileName = file.name;
         
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             
+            // Cancelling while the file is read and parsed stops it before the first page
+            let cancelled = false;
+            this.cancelRun = () => { cancelled = true; };
+            
             reader.onload = async (e) => {
                 try {
                     this.pdfData = new Uint8Array(e.target.result);
-                    const loadingTask = pdfjsLib.getDocument({ data: this.pdfData });
-                    this.currentPdf = await loadingTask.promise;
-                    this.pages = [];
-                    this.redactions = [];
-                    
-                    // Process all pages
-                    for (let i = 1; i <= this.currentPdf.numPages; i++) {
-                        const page = await this.currentPdf.getPage(i);
-                        const pageData = await this.processPage(page, i);
-                        this.pages.push(pageData);
-                    }
+                    // pdf.js takes ownership of the bytes it is given; keep the original for the vector export
+                    this.loadingTask = pdfjsLib.getDocument({ data: this.pdfData.slice() });
+                    this.currentPdf = await this.loadingTask.promise;
+                    if (cancelled) throw new DOMException('Processing cancelled', 'AbortError');
                     
-                    resolve({
-                        numPages: this.currentPdf.numPages,
-                        pages: this.pages,
-                        redactions: this.redactions
-                    });
+                    resolve(await this.processAllPages(onProgress));
                 } catch (error) {
                     reject(error);
                 }
@@ -57,17 +93,282 @@ class PDFProcessor {
         });
     }
 
+    /**
+     * Load a document saved with serializePages: the file is parsed again, but its findings are
+     * taken as they were saved instead of being detected again. cancel() stops it between pages.
+     */
+    async restoreDocument(data, savedPages) {
+        let cancelled = false;
+        this.cancelRun = () => { cancelled = true; };
+        
+        try {
+            this.pdfData = data;
+            this.loadingTask = pdfjsLib.getDocument({ data: this.pdfData.slice() });
+            this.currentPdf = await this.loadingTask.promise;
+            
+            const pages = [];
+            for (const saved of savedPages) {
+                if (cancelled) throw new DOMException('Processing cancelled', 'AbortError');
+                
+                const page = await this.currentPdf.getPage(saved.pageNum);
+                const { scale, ...pageData } = saved;
+                
+                const recoveredImages = [];
+                for (const { blob, ...image } of saved.recoveredImages) {
+                    recoveredImages.push({ ...image, canvas: this.bitmapToCanvas(await createImageBitmap(blob)) });
+                }
+                
+                pages.push({
+                    ...pageData,
+                    viewport: page.getViewport({ scale }),
+                    analysisViewport: page.getViewport({ scale: this.analysisDpi / 72 }),
+                    recoveredImages
+                });
+            }
+            
+            pages.forEach(pageData => this.rescalePage(pageData));
+            
+            this.pages = pages;
+            this.redactions = pages.flatMap(p => p.redactions);
+            this.recoveredImages = pages.flatMap(p => p.recoveredImages);
+            
+            return {
+                numPages: this.currentPdf.numPages,
+                pages: this.pages,
+                redactions: this.redactions,
+                recoveredImages: this.recoveredImages
+            };
+        } finally {
+            this.cancelRun = null;
+        }
+    }
+
+    /**
+     * The pages and findings as plain data that can be stored: viewports are kept as their scale
+     * and recovered images as PNG blobs
+     */
+    async serializePages() {
+        const pages = [];
+        for (const { viewport, analysisViewport, ...pageData } of this.pages) {
+            const recoveredImages = [];
+            for (const { canvas, ...image } of pageData.recoveredImages) {
+                recoveredImages.push({ ...image, blob: await this.canvasToBlob(canvas) });
+            }
+            
+            pages.push({ ...pageData, scale: viewport.scale, recoveredImages });
+        }
+        return pages;
+    }
+
+    /**
+     * Encode a canvas as a PNG blob
+     */
+    canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image')), 'image/png');
+        });
+    }
+
+    /**
+     * Re-run detection on the loaded document with the current settings, without reading the file again
+     */
+    async redetect(onProgress) {
+        if (!this.currentPdf) {
+            throw new Error('No document loaded');
+        }
+        
+        return this.processAllPages(onProgress);
+    }
+
+    /**
+     * Stop the page run in progress; its promise rejects with an AbortError and earlier results are kept
+     */
+    cancel() {
+        if (this.cancelRun) this.cancelRun();
+    }
+
+    /**
+     * Free the document: pdf.js's copy of it and its worker, and the canvases of recovered images.
+     * The processor can't render or export afterwards.
+     */
+    close() {
+        this.cancel();
+        const loadingTask = this.loadingTask;
+        
+        this.recoveredImages.forEach(image => this.releaseCanvas(image.canvas));
+        this.loadingTask = null;
+        this.currentPdf = null;
+        this.pdfData = null;
+        this.pages = [];
+        this.redactions = [];
+        this.recoveredImages = [];
+        
+        // Destroying the loading task destroys the document too, and also works when parsing failed
+        return loadingTask ? loadingTask.destroy() : Promise.resolve();
+    }
+
+    /**
+     * Process every page of the loaded document
+     */
+    async processAllPages(onProgress = () => {}) {
+        let pages = null;
+        
+        if (!this.workerUnavailable && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+            pages = await this.processPagesInWorker(onProgress);
+        }
+        if (!pages) {
+            pages = await this.processPagesHere(onProgress);
+        }
+        
+        // Pages were scanned at the analysis resolution; show them at the current scale
+        pages.forEach(pageData => this.rescalePage(pageData));
+        
+        this.pages = pages;
+        this.redactions = pages.flatMap(p => p.redactions);
+        this.recoveredImages = pages.flatMap(p => p.recoveredImages);
+        
+        return {
+            numPages: this.currentPdf.numPages,
+            pages: this.pages,
+            redactions: this.redactions,
+            recoveredImages: this.recoveredImages
+        };
+    }
+
+    /**
+     * Render and scan every page on the main thread, checking for cancellation between pages
+     */
+    async processPagesHere(onProgress) {
+        let cancelled = false;
+        this.cancelRun = () => { cancelled = true; };
+        
+        try {
+            const pages = [];
+            for (let i = 1; i <= this.currentPdf.numPages; i++) {
+                if (cancelled) throw new DOMException('Processing cancelled', 'AbortError');
+                
+                const page = await this.currentPdf.getPage(i);
+                pages.push(await this.processPage(page, i));
+                onProgress(i, this.currentPdf.numPages);
+            }
+            return pages;
+        } finally {
+            this.cancelRun = null;
+        }
+    }
+
+    /**
+     * Render and scan every page in a worker (see pdfWorker.js) so the page stays responsive.
+     * Resolves with null when the worker can't start, so the caller can fall back to the main thread.
+     */
+    processPagesInWorker(onProgress) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.workerSrc);
+            } catch (error) {
+                console.warn('Could not start the page worker, processing on the main thread:', error);
+                this.workerUnavailable = true;
+                resolve(null);
+                return;
+            }
+            
+            const pages = [];
+            let adopting = Promise.resolve(); // Pages are adopted in the order they arrive
+            
+            const finish = (error, result) => {
+                worker.terminate();
+                this.cancelRun = null;
+                if (error) reject(error);
+                else resolve(result);
+            };
+            this.cancelRun = () => finish(new DOMException('Processing cancelled', 'AbortError'));
+            
+            worker.onmessage = (e) => {
+                const message = e.data;
+                
+                if (message.type === 'page') {
+                    adopting = adopting.then(async () => {
+                        pages.push(await this.adoptWorkerPage(message.page));
+                        onProgress(message.page.pageNum, message.numPages);
+                    });
+                } else if (message.type === 'done') {
+                    adopting.then(() => finish(null, pages), error => finish(error));
+                } else if (message.type === 'error') {
+                    finish(new Error(message.message));
+                }
+            };
+            
+            // Errors that escape the worker mean it couldn't load its scripts
+            worker.onerror = (e) => {
+                e.preventDefault();
+                console.warn('Page worker failed, processing on the main thread:', e.message);
+                this.workerUnavailable = true;
+                finish(null, null);
+            };
+            
+            // The worker gets its own copy of the file; ours is kept for the export
+            const data = this.pdfData.slice();
+            worker.postMessage({
+                type: 'process',
+                data,
+                analysisDpi: this.analysisDpi,
+                settings: this.settings,
+                fillProfiles: this.fillProfiles
+            }, [data.buffer]);
+        });
+    }
+
+    /**
+     * Turn a page sent back by the worker into a regular page: a viewport from our own copy
+     * of the document, and canvases from the bitmaps of its recovered images
+     */
+    async adoptWorkerPage(data) {
+        const page = await this.currentPdf.getPage(data.pageNum);
+        const viewport = page.getViewport({ scale: this.analysisDpi / 72 });
+        
+        return {
+            ...data,
+            viewport,
+            analysisViewport: viewport,
+            recoveredImages: data.recoveredImages.map(image => {
+                const canvas = this.bitmapToCanvas(image.canvas);
+                return { ...image, canvas, thumbnail: this.createThumbnail(canvas, 160) };
+            })
+        };
+    }
+
+    /**
+     * Draw a transferred ImageBitmap onto a new canvas and release the bitmap
+     */
+    bitmapToCanvas(bitmap) {
+        const canvas = this.createCanvas(bitmap.width, bitmap.height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+    }
+
+    /**
+     * A canvas of the given size; an OffscreenCanvas when running in the worker
+     */
+    createCanvas(width, height) {
+        const canvas = typeof document !== 'undefined'
+            ? document.createElement('canvas')
+            : new OffscreenCanvas(width, height);
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
     /**
      * Process a single page - render, detect redactions, and extract hidden text
      */
     async processPage(page, pageNum) {
-        const viewport = page.getViewport({ scale: this.scale });
+        const viewport = page.getViewport({ scale: this.analysisDpi / 72 });
         
         // Create canvas for original
-        const originalCanvas = document.createElement('canvas');
+        const originalCanvas = this.createCanvas(viewport.width, viewport.height);
         const originalCtx = originalCanvas.getContext('2d');
-        originalCanvas.width = viewport.width;
-        originalCanvas.height = viewport.height;
         
         // Render original page
         await page.render({
@@ -79,9 +380,208 @@ class PDFProcessor {
         const textContent = await page.getTextContent();
         const textItems = textContent.items;
         
-        // Detect redactions (black rectangles)
-        const imageData = originalCtx.getImageData(0, 0, originalCanvas.width, originalCanvas.height);
-        const pageRedactions = this.detectRedactions(imageData, pageNum, viewport);
+        let imageData = null;
+        const getImageData = () => imageData ||
+            (imageData = originalCtx.getImageData(0, 0, originalCanvas.width, originalCanvas.height));
+        
+        // Detect redactions from the drawing operators first (exact geometry, independent of scale)
+        const operatorList = await page.getOperatorList();
+        let pageRedactions = this.detectVectorRedactions(operatorList, pageNum, viewport)
+            .filter(r => !this.getFillProfile(r.fillProfile).requireText ||
+                this.isCoveringFill(r, textItems, viewport, getImageData()));
+        
+        // Redact annotations and filled Square annotations are never part of the page content
+        const annotations = await page.getAnnotations();
+        const annotationRedactions = this.detectAnnotationRedactions(annotations, pageNum, viewport, textItems, getImageData)
+            .filter(r => !pageRedactions.some(v => this.rectsOverlap(r, v)));
+        pageRedactions = pageRedactions.concat(annotationRedactions);
+        
+        // Fall back to scanning pixels for scanned pages, or when nothing was drawn as a filled path
+        if (pageRedactions.length === 0 || this.hasRasterContent(operatorList)) {
+            const rasterRedactions = this.detectRedactions(getImageData(), pageNum, viewport, textItems)
+                .filter(r => !pageRedactions.some(v => this.rectsOverlap(r, v)));
+            pageRedactions = pageRedactions.concat(rasterRedactions);
+        }
+        
+        // Pages keep their findings but not their pixels; the panes render pages as they come into view
+        const pageData = {
+            pageNum,
+            width: viewport.width,
+            height: viewport.height,
+            pdfWidth: viewport.width / viewport.scale,
+            pdfHeight: viewport.height / viewport.scale,
+            textContent, // Pass the full text content for text layer rendering
+            viewport,    // Pass viewport for text layer positioning; follows the zoom
+            analysisViewport: viewport, // Edits are analyzed at this resolution whatever the zoom
+            redactions: [],
+            textItems: textItems,
+            imagePlacements: [],
+            recoveredImages: []
+        };
+        
+        await this.analyzePage(page, pageData, pageRedactions, getImageData());
+        this.releaseCanvas(originalCanvas);
+        
+        return pageData;
+    }
+
+    /**
+     * Render one page of the loaded document at the current zoom: the original, or the fixed version
+     * with the redactions removed and the hidden text the render doesn't show drawn over it.
+     * The caller owns the canvas and should release it when done.
+     */
+    async renderPageImage(pageNum, kind = 'original') {
+        const pageData = this.pages[pageNum - 1];
+        if (!pageData || !this.currentPdf) {
+            throw new Error(`Page ${pageNum} is not loaded`);
+        }
+        
+        const page = await this.currentPdf.getPage(pageNum);
+        if (kind === 'fixed') {
+            const { canvas, context: ctx, redactions } = await this.renderFixedPage(page, pageData.viewport, pageData.redactions);
+            if (pageData.textContent) {
+                this.renderTextForExport(ctx, { textContent: pageData.textContent, viewport: pageData.viewport, redactions });
+            }
+            return canvas;
+        }
+        
+        const canvas = this.createCanvas(pageData.viewport.width, pageData.viewport.height);
+        await page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport: pageData.viewport
+        }).promise;
+        return canvas;
+    }
+
+    /**
+     * Free a canvas's pixels now rather than when it is garbage collected (Safari keeps them until then)
+     */
+    releaseCanvas(canvas) {
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+
+    /**
+     * Replace a page's redactions (e.g. after a manual edit) and redo the text lookup,
+     * classification, and fixed rendering for that page only
+     */
+    async updatePageRedactions(pageNum, redactions) {
+        const pageData = this.pages[pageNum - 1];
+        if (!pageData || !this.currentPdf) {
+            throw new Error(`Page ${pageNum} is not loaded`);
+        }
+        
+        // Analyzed at the analysis resolution like a freshly scanned page, so results don't depend on the zoom
+        const page = await this.currentPdf.getPage(pageNum);
+        const viewport = pageData.analysisViewport;
+        const canvas = this.createCanvas(viewport.width, viewport.height);
+        const ctx = canvas.getContext('2d');
+        await page.render({ canvasContext: ctx, viewport }).promise;
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        this.releaseCanvas(canvas);
+        
+        // Rebuild canvas geometry from the PDF rectangle, so boxes edited at another zoom still line up
+        const pageRedactions = redactions.map(r => {
+            const redaction = {
+                ...r,
+                ...this.createRedaction(pageNum, r.pdfRect, viewport, r.detector, {
+                    profile: r.fillProfile,
+                    color: r.fillColor
+                }, r.segments.map(segment => segment.pdfRect))
+            };
+            
+            // Boxes drawn by hand take the fill from their middle, so the swatch and suppression match what's drawn there
+            if (!redaction.fillColor) {
+                const center = this.getPixel(imageData, redaction.x + redaction.width / 2, redaction.y + redaction.height / 2);
+                const profile = this.matchFillProfile(center, this.getFillProfiles());
+                redaction.fillProfile = profile ? profile.id : null;
+                redaction.fillColor = this.toHexColor(center);
+            }
+            return redaction;
+        });
+        
+        await this.analyzePage(page, pageData, pageRedactions, imageData);
+        pageData.redactions = this.measureRedactions(pageData.redactions, pageData.viewport, pageData.viewport.scale / viewport.scale);
+        pageData.edited = true;
+        
+        this.redactions = this.pages.flatMap(p => p.redactions);
+        this.recoveredImages = this.pages.flatMap(p => p.recoveredImages);
+        
+        return {
+            pages: this.pages,
+            redactions: this.redactions,
+            recoveredImages: this.recoveredImages
+        };
+    }
+
+    /**
+     * Build a redaction the user drew by hand from a canvas-space rectangle; its fill is
+     * sampled from the page when it is applied with updatePageRedactions
+     */
+    createManualRedaction(pageNum, rect) {
+        const pageData = this.pages[pageNum - 1];
+        const pdfRect = this.canvasToPdfRect(rect.x, rect.y, rect.width, rect.height, pageData.viewport);
+        
+        return this.createRedaction(pageNum, pdfRect, pageData.viewport, 'manual', {
+            profile: null,
+            color: null
+        });
+    }
+
+    /**
+     * The RGBA values of one pixel, clamped to the image
+     */
+    getPixel(imageData, x, y) {
+        const px = Math.max(0, Math.min(imageData.width - 1, Math.round(x)));
+        const py = Math.max(0, Math.min(imageData.height - 1, Math.round(y)));
+        const i = (py * imageData.width + px) * 4;
+        return imageData.data.slice(i, i + 4);
+    }
+
+    /**
+     * Copy a redaction with one line segment moved to a new canvas-space rectangle, keeping how it was found
+     */
+    moveRedaction(redaction, rect, segmentIndex = 0) {
+        const pageData = this.pages[redaction.page - 1];
+        const segmentRects = redaction.segments.map((segment, i) => i === segmentIndex
+            ? this.canvasToPdfRect(rect.x, rect.y, rect.width, rect.height, pageData.viewport)
+            : segment.pdfRect);
+        
+        return {
+            ...redaction,
+            ...this.createRedaction(redaction.page, this.unionRect(segmentRects), pageData.viewport, redaction.detector, {
+                profile: redaction.fillProfile,
+                color: redaction.fillColor
+            }, segmentRects),
+            edited: true
+        };
+    }
+
+    /**
+     * Copy a redaction without one of its line segments, or return null when it was the last one
+     */
+    removeSegment(redaction, segmentIndex) {
+        const segmentRects = redaction.segments
+            .filter((segment, i) => i !== segmentIndex)
+            .map(segment => segment.pdfRect);
+        if (segmentRects.length === 0) return null;
+        
+        const pageData = this.pages[redaction.page - 1];
+        return {
+            ...redaction,
+            ...this.createRedaction(redaction.page, this.unionRect(segmentRects), pageData.viewport, redaction.detector, {
+                profile: redaction.fillProfile,
+                color: redaction.fillColor
+            }, segmentRects),
+            edited: true
+        };
+    }
+
+    /**
+     * Find hidden text, classify, and build the fixed canvas for a page's redactions
+     */
+    async analyzePage(page, pageData, pageRedactions, imageData) {
+        const { pageNum, analysisViewport: viewport, textContent, textItems } = pageData;
         
         // Find text that falls within redaction areas
         // Track which text items have been assigned to avoid duplicates
@@ -91,42 +591,203 @@ class PDFProcessor {
             redaction.hiddenText = this.findTextInArea(textItems, redaction, viewport, assignedTextIndices);
         }
         
-        // Create fixed canvas - just white out the black boxes (don't draw text on canvas)
-        const fixedCanvas = document.createElement('canvas');
-        const fixedCtx = fixedCanvas.getContext('2d');
-        fixedCanvas.width = viewport.width;
-        fixedCanvas.height = viewport.height;
+        // Classify what each box actually hides and how sure we are
+        const operatorList = await page.getOperatorList();
+        const imagePlacements = this.collectImagePlacements(operatorList);
         
-        // Copy original
-        fixedCtx.drawImage(originalCanvas, 0, 0);
+        for (const redaction of pageRedactions) {
+            this.classifyRedaction(redaction, textItems, viewport, imageData, imagePlacements);
+        }
         
-        // Just white out the black redaction boxes
+        // Text under flattened boxes is gone, so estimate its length from the neighbouring text instead
         for (const redaction of pageRedactions) {
-            fixedCtx.fillStyle = '#FFFFFF';
-            fixedCtx.fillRect(
-                redaction.x - 1,
-                redaction.y - 1,
-                redaction.width + 2,
-                redaction.height + 2
-            );
+            redaction.lengthEstimate = redaction.leakClass === 'flattened'
+                ? this.lengthEstimator.estimate(redaction, textContent)
+                : null;
         }
         
-        // Add redactions to global list
-        this.redactions.push(...pageRedactions);
+        // Pull out images still sitting under boxes at their native resolution
+        const recoveredImages = this.recoverHiddenImages(page, pageNum, pageRedactions);
         
-        return {
-            pageNum,
-            width: viewport.width,
-            height: viewport.height,
-            pdfWidth: viewport.width / this.scale,
-            pdfHeight: viewport.height / this.scale,
-            originalCanvas,
-            fixedCanvas,
-            textContent, // Pass the full text content for text layer rendering
-            viewport,    // Pass viewport for text layer positioning
-            redactions: pageRedactions,
-            textItems: textItems
+        // Render the fixed page once to learn which boxes can be suppressed and which need whiting out
+        const fixed = await this.renderFixedPage(page, viewport, pageRedactions);
+        
+        for (const redaction of pageRedactions) {
+            redaction.fixMethod = fixed.coverage.get(redaction) >= 0.95 ? 'suppressed' : 'whiteout';
+        }
+        
+        // Text drawn under a suppressed box is now rendered with its real font; anything else
+        // (invisible or white text, whited-out boxes) still needs the overlay
+        const needsCheck = pageRedactions.filter(r => r.fixMethod === 'suppressed' && r.hiddenText.length > 0);
+        const fixedImageData = needsCheck.length > 0
+            ? fixed.context.getImageData(0, 0, fixed.canvas.width, fixed.canvas.height)
+            : null;
+        
+        for (const redaction of pageRedactions) {
+            redaction.textRendered = needsCheck.includes(redaction) && !this.sampleRenderedFill(fixedImageData, redaction);
+        }
+        this.releaseCanvas(fixed.canvas);
+        
+        pageData.redactions = pageRedactions;
+        pageData.imagePlacements = imagePlacements;
+        pageData.recoveredImages = recoveredImages;
+    }
+
+    /**
+     * Render a page with the covering fills of its redactions suppressed, so graphics, images, and text
+     * underneath show through, and white out the boxes whose fill couldn't be matched.
+     * Resolves with the canvas, the redactions measured in its pixels, and the share of each box that was suppressed.
+     */
+    async renderFixedPage(page, viewport, redactions) {
+        const canvas = this.createCanvas(viewport.width, viewport.height);
+        const ctx = canvas.getContext('2d');
+        
+        // The same boxes, measured in this render's pixels
+        const boxes = redactions.map(r => ({
+            ...r,
+            ...this.toCanvasRect(r.pdfRect, viewport),
+            segments: r.segments.map(segment => ({ ...this.toCanvasRect(segment.pdfRect, viewport), pdfRect: segment.pdfRect }))
+        }));
+        
+        // Raster boxes are baked into the page image, so there is no fill to suppress
+        const suppressor = this.createFillSuppressor(ctx, boxes.filter(r => r.detector !== 'raster'));
+        await page.render({
+            canvasContext: suppressor.context,
+            viewport: viewport
+        }).promise;
+        
+        // Fall back to whiting out boxes that couldn't be matched to a fill operation,
+        // line by line so the text between redacted lines stays visible
+        const coverage = new Map();
+        ctx.fillStyle = '#FFFFFF';
+        boxes.forEach((box, i) => {
+            const share = (suppressor.matchedArea.get(box) || 0) / (this.getSegmentArea(box) || 1);
+            coverage.set(redactions[i], share);
+            if (share >= 0.95) return;
+            
+            for (const segment of box.segments) {
+                ctx.fillRect(segment.x - 1, segment.y - 1, segment.width + 2, segment.height + 2);
+            }
+        });
+        
+        return { canvas, context: ctx, redactions: boxes, coverage };
+    }
+
+    /**
+     * Wrap a canvas context so fills matching the given redaction boxes are dropped.
+     * pdf.js builds paths directly on the context, so each path is tracked in device space
+     * and compared against the boxes when it is filled.
+     */
+    createFillSuppressor(ctx, redactions) {
+        const matchedArea = new Map();
+        let path = [];
+        let curved = false;
+        let skipStroke = false;
+        
+        const record = (x, y) => {
+            const m = ctx.getTransform();
+            path.push([m.a * x + m.c * y + m.e, m.b * x + m.d * y + m.f]);
+        };
+        
+        const overrides = {
+            beginPath: () => {
+                path = [];
+                curved = false;
+                skipStroke = false;
+                ctx.beginPath();
+            },
+            moveTo: (x, y) => {
+                record(x, y);
+                ctx.moveTo(x, y);
+            },
+            lineTo: (x, y) => {
+                record(x, y);
+                ctx.lineTo(x, y);
+            },
+            rect: (x, y, width, height) => {
+                record(x, y);
+                record(x + width, y);
+                record(x + width, y + height);
+                record(x, y + height);
+                ctx.rect(x, y, width, height);
+            },
+            bezierCurveTo: (...args) => {
+                curved = true;
+                ctx.bezierCurveTo(...args);
+            },
+            quadraticCurveTo: (...args) => {
+                curved = true;
+                ctx.quadraticCurveTo(...args);
+            },
+            fill: (...args) => {
+                // Fills of a Path2D object aren't built through this context
+                const usesCurrentPath = args.length === 0 || typeof args[0] === 'string';
+                const match = usesCurrentPath && this.matchSuppressedFill(path, curved, ctx.fillStyle, redactions);
+                
+                if (match) {
+                    matchedArea.set(match.redaction, (matchedArea.get(match.redaction) || 0) + match.area);
+                    skipStroke = true;
+                    return;
+                }
+                ctx.fill(...args);
+            },
+            stroke: (...args) => {
+                // Drop the outline of a suppressed fill-and-stroke box too
+                if (skipStroke && args.length === 0) return;
+                ctx.stroke(...args);
+            }
         };
+        
+        const context = new Proxy(ctx, {
+            get: (target, prop) => {
+                if (prop in overrides) return overrides[prop];
+                const value = target[prop];
+                return typeof value === 'function' ? value.bind(target) : value;
+            },
+            set: (target, prop, value) => {
+                // pdf.js temporarily swaps context methods while rendering soft masks
+                if (prop in overrides) {
+                    overrides[prop] = value;
+                } else {
+                    target[prop] = value;
+                }
+                return true;
+            }
+        });
+        
+        return { context, matchedArea };
+    }
+
+    /**
+     * Find the redaction a filled device-space path belongs to, if it is one of its covering rectangles
+     */
+    matchSuppressedFill(path, curved, fillStyle, redactions) {
+        // Patterns, gradients, and translucent rgba() fills are never redaction boxes
+        if (typeof fillStyle !== 'string' || !fillStyle.startsWith('#')) return null;
+        
+        const bounds = this.getRectangleBounds({ points: path, curved });
+        if (!bounds) return null;
+        
+        const fill = this.parseOperatorColor([fillStyle]);
+        const tolerance = 1.5;
+        
+        for (const redaction of redactions) {
+            if (!this.colorWithinTolerance(fill, this.parseOperatorColor([redaction.fillColor]), 8)) continue;
+            
+            for (const segment of redaction.segments) {
+                const inside = bounds[0] >= segment.x - tolerance &&
+                               bounds[1] >= segment.y - tolerance &&
+                               bounds[2] <= segment.x + segment.width + tolerance &&
+                               bounds[3] <= segment.y + segment.height + tolerance;
+                
+                if (inside) {
+                    const segmentRect = [segment.x, segment.y, segment.x + segment.width, segment.y + segment.height];
+                    return { redaction, area: this.rectIntersectionArea(bounds, segmentRect) };
+                }
+            }
+        }
+        
+        return null;
     }
 
     /**
@@ -160,8 +821,8 @@ class PDFProcessor {
             const canvasY = vt[3] * pdfY + vt[5];
             
             // Calculate text bounds
-            const scaledWidth = itemWidth * this.scale;
-            const scaledHeight = fontSize * this.scale;
+            const scaledWidth = itemWidth * viewport.scale;
+            const scaledHeight = fontSize * viewport.scale;
             
             // Text bounds
             const textLeft = canvasX;
@@ -169,28 +830,31 @@ class PDFProcessor {
             const textTop = canvasY - scaledHeight;
             const textBottom = canvasY;
             
-            // Redaction bounds (no tolerance - we want text that's actually inside)
-            const redactLeft = redaction.x;
-            const redactRight = redaction.x + redaction.width;
-            const redactTop = redaction.y;
-            const redactBottom = redaction.y + redaction.height;
-            
-            // Calculate how much of the text is inside the redaction
-            const overlapLeft = Math.max(textLeft, redactLeft);
-            const overlapRight = Math.min(textRight, redactRight);
-            const overlapWidth = Math.max(0, overlapRight - overlapLeft);
-            
-            const overlapTop = Math.max(textTop, redactTop);
-            const overlapBottom = Math.min(textBottom, redactBottom);
-            const overlapHeight = Math.max(0, overlapBottom - overlapTop);
-            
-            // Text must be at least 50% inside the redaction box horizontally
-            // and the vertical center must be inside
-            const textCenterY = (textTop + textBottom) / 2;
-            const horizontalOverlapRatio = overlapWidth / scaledWidth;
-            const verticalInside = textCenterY >= redactTop && textCenterY <= redactBottom;
-            
-            if (horizontalOverlapRatio >= 0.5 && verticalInside && overlapHeight > 0) {
+            // Each line of a multi-line redaction is matched on its own, so text between lines is never caught
+            for (const segment of redaction.segments) {
+                // Segment bounds (no tolerance - we want text that's actually inside)
+                const redactLeft = segment.x;
+                const redactRight = segment.x + segment.width;
+                const redactTop = segment.y;
+                const redactBottom = segment.y + segment.height;
+                
+                // Calculate how much of the text is inside the segment
+                const overlapLeft = Math.max(textLeft, redactLeft);
+                const overlapRight = Math.min(textRight, redactRight);
+                const overlapWidth = Math.max(0, overlapRight - overlapLeft);
+                
+                const overlapTop = Math.max(textTop, redactTop);
+                const overlapBottom = Math.min(textBottom, redactBottom);
+                const overlapHeight = Math.max(0, overlapBottom - overlapTop);
+                
+                // Enough of the text must be inside the segment horizontally
+                // and the vertical center must be inside
+                const textCenterY = (textTop + textBottom) / 2;
+                const horizontalOverlapRatio = overlapWidth / scaledWidth;
+                const verticalInside = textCenterY >= redactTop && textCenterY <= redactBottom;
+                
+                if (horizontalOverlapRatio < this.settings.textOverlapRatio || !verticalInside || overlapHeight <= 0) continue;
+                
                 assignedTextIndices.add(i);
                 foundText.push({
                     text: item.str,
@@ -198,218 +862,1164 @@ class PDFProcessor {
                     y: canvasY,
                     width: scaledWidth,
                     height: scaledHeight,
-                    fontSize: fontSize * this.scale,
+                    fontSize: fontSize * viewport.scale,
                     transform: transform,
                     fontName: item.fontName,
-                    index: i
+                    index: i,
+                    horizontalOverlap: horizontalOverlapRatio,
+                    verticalOverlap: Math.min(1, overlapHeight / scaledHeight)
                 });
+                break;
+            }
+        }
+        
+        // Sort by position (top to bottom, left to right)
+        foundText.sort((a, b) => {
+            if (Math.abs(a.y - b.y) < 5) {
+                return a.x - b.x;
+            }
+            return a.y - b.y;
+        });
+        
+        return foundText;
+    }
+
+    /**
+     * Classify a redaction as leaked text, leaked image, properly flattened, or a probable
+     * false positive, with a 0-1 confidence score
+     */
+    classifyRedaction(redaction, textItems, viewport, imageData, imagePlacements) {
+        // Anything drawn on top of the box (white header text, logo artwork) means it doesn't hide anything.
+        // Pending Redact annotations are outlines over visible content, so they skip this check.
+        let solidity = 1;
+        if (redaction.detector !== 'annotation') {
+            const profile = this.getFillProfile(redaction.fillProfile);
+            const fill = this.parseOperatorColor([redaction.fillColor]);
+            solidity = this.measureRenderedFill(imageData, redaction, fill, profile ? profile.tolerance : 30);
+        }
+        // A tenth of the box showing other content is conclusive
+        const isOverdrawn = solidity < 0.97;
+        const overdrawn = Math.min(1, (1 - solidity) * 10);
+        
+        // Images painted before the box are still in the file underneath it.
+        // Raster boxes are part of the scanned image itself, so there is nothing beneath them.
+        const segmentRects = redaction.segments.map(segment => segment.pdfRect);
+        const boxArea = segmentRects.reduce((sum, rect) => sum + (rect[2] - rect[0]) * (rect[3] - rect[1]), 0);
+        const coveredArea = (image) => segmentRects.reduce((sum, rect) => sum + this.rectIntersectionArea(image.pdfRect, rect), 0);
+        
+        redaction.underlyingImages = redaction.detector === 'raster' ? [] : imagePlacements.filter(image => {
+            const drawnFirst = !redaction.operatorIndices || image.opIndex < Math.min(...redaction.operatorIndices);
+            return drawnFirst && coveredArea(image) > 0;
+        });
+        
+        if (redaction.hiddenText.length > 0) {
+            const overlaps = redaction.hiddenText.map(t => t.horizontalOverlap * t.verticalOverlap);
+            const textScore = overlaps.reduce((sum, v) => sum + v, 0) / overlaps.length;
+            
+            if (isOverdrawn) {
+                redaction.leakClass = 'false-positive';
+                redaction.confidence = textScore * overdrawn;
+            } else {
+                redaction.leakClass = 'leaked-text';
+                redaction.confidence = textScore;
+            }
+        } else if (redaction.underlyingImages.length > 0) {
+            redaction.leakClass = 'leaked-image';
+            redaction.confidence = Math.min(1, Math.max(...redaction.underlyingImages.map(image =>
+                coveredArea(image) / boxArea
+            )));
+        } else if (isOverdrawn) {
+            redaction.leakClass = 'false-positive';
+            redaction.confidence = overdrawn;
+        } else if (Math.max(...segmentRects.map(rect => rect[3] - rect[1])) < 6) {
+            // Too short to hide a line of text; most likely a rule or separator bar
+            redaction.leakClass = 'false-positive';
+            redaction.confidence = 0.7;
+        } else {
+            // Text running under the box that couldn't be isolated means something may still be hidden
+            const nearMiss = textItems.reduce((best, item) => {
+                if (!item.str || item.str.trim() === '') return best;
+                const bounds = this.getTextItemBounds(item, viewport);
+                
+                for (const segment of redaction.segments) {
+                    const overlapWidth = Math.max(0, Math.min(bounds.right, segment.x + segment.width) - Math.max(bounds.left, segment.x));
+                    const overlapHeight = Math.max(0, Math.min(bounds.bottom, segment.y + segment.height) - Math.max(bounds.top, segment.y));
+                    const verticalRatio = overlapHeight / (bounds.bottom - bounds.top || 1);
+                    const itemRatio = overlapWidth / (bounds.right - bounds.left || 1);
+                    const boxRatio = overlapWidth / (segment.width || 1);
+                    best = Math.max(best, Math.max(itemRatio, boxRatio) * verticalRatio);
+                }
+                return best;
+            }, 0);
+            
+            redaction.leakClass = 'flattened';
+            redaction.confidence = 1 - nearMiss;
+        }
+        
+        redaction.confidence = Math.round(redaction.confidence * 100) / 100;
+        return redaction.leakClass;
+    }
+
+    /**
+     * Extract the image XObjects underneath each redaction, once per image
+     */
+    recoverHiddenImages(page, pageNum, redactions) {
+        const recovered = new Map();
+        
+        for (const redaction of redactions) {
+            redaction.recoveredImageIds = [];
+            
+            for (const placement of redaction.underlyingImages) {
+                if (!placement.objId) continue;
+                
+                let image = recovered.get(placement.objId);
+                if (!image) {
+                    const canvas = this.imageObjectToCanvas(page, placement.objId);
+                    if (!canvas) continue;
+                    
+                    image = {
+                        id: `p${pageNum}_${placement.objId}`,
+                        page: pageNum,
+                        objId: placement.objId,
+                        width: canvas.width,
+                        height: canvas.height,
+                        pdfRect: placement.pdfRect,
+                        canvas,
+                        thumbnail: this.createThumbnail(canvas, 160)
+                    };
+                    recovered.set(placement.objId, image);
+                }
+                redaction.recoveredImageIds.push(image.id);
+            }
+        }
+        
+        return Array.from(recovered.values());
+    }
+
+    /**
+     * Draw a decoded pdf.js image object onto a canvas at its native size
+     */
+    imageObjectToCanvas(page, objId) {
+        const objs = objId.startsWith('g_') ? page.commonObjs : page.objs;
+        if (!objs.has(objId)) return null;
+        
+        const image = objs.get(objId);
+        if (!image || !image.width || !image.height) return null;
+        
+        const canvas = this.createCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d');
+        
+        // Browsers get an ImageBitmap; otherwise the raw pixels come in one of three layouts
+        if (image.bitmap) {
+            ctx.drawImage(image.bitmap, 0, 0);
+            return canvas;
+        }
+        
+        const { data, width, height, kind } = image;
+        const imageData = ctx.createImageData(width, height);
+        const out = imageData.data;
+        
+        switch (kind) {
+            case pdfjsLib.ImageKind.RGBA_32BPP:
+                out.set(data.subarray(0, width * height * 4));
+                break;
+            case pdfjsLib.ImageKind.RGB_24BPP:
+                for (let i = 0, j = 0; i < width * height; i++, j += 3) {
+                    out[i * 4] = data[j];
+                    out[i * 4 + 1] = data[j + 1];
+                    out[i * 4 + 2] = data[j + 2];
+                    out[i * 4 + 3] = 255;
+                }
+                break;
+            case pdfjsLib.ImageKind.GRAYSCALE_1BPP: {
+                const rowBytes = (width + 7) >> 3;
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+                        const i = (y * width + x) * 4;
+                        out[i] = out[i + 1] = out[i + 2] = bit ? 255 : 0;
+                        out[i + 3] = 255;
+                    }
+                }
+                break;
+            }
+            default:
+                return null;
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Scale a canvas down into a PNG data URL no larger than maxSize on either side
+     */
+    createThumbnail(canvas, maxSize) {
+        const ratio = Math.min(1, maxSize / Math.max(canvas.width, canvas.height));
+        const thumb = this.createCanvas(Math.max(1, Math.round(canvas.width * ratio)), Math.max(1, Math.round(canvas.height * ratio)));
+        thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+        return thumb.toDataURL('image/png');
+    }
+
+    /**
+     * Area shared by two [x1, y1, x2, y2] rectangles
+     */
+    rectIntersectionArea(a, b) {
+        const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+        const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+        return width > 0 && height > 0 ? width * height : 0;
+    }
+
+    /**
+     * Reveal the redacted text by removing black boxes and rendering the hidden text
+     */
+    revealRedactedText(ctx, redactions, viewport) {
+        for (const redaction of redactions) {
+            // First, paint over the black box with white, one line segment at a time
+            ctx.fillStyle = '#FFFFFF';
+            for (const segment of redaction.segments) {
+                ctx.fillRect(
+                    segment.x - 1,
+                    segment.y - 1,
+                    segment.width + 2,
+                    segment.height + 2
+                );
+            }
+            
+            // Now render the hidden text with clipping to stay within bounds
+            if (redaction.hiddenText && redaction.hiddenText.length > 0) {
+                ctx.save();
+                
+                // Create clipping region to ensure text stays within redaction bounds
+                ctx.beginPath();
+                for (const segment of redaction.segments) {
+                    ctx.rect(segment.x - 1, segment.y - 1, segment.width + 2, segment.height + 2);
+                }
+                ctx.clip();
+                
+                ctx.fillStyle = '#000000';
+                ctx.textBaseline = 'alphabetic';
+                
+                for (const textItem of redaction.hiddenText) {
+                    const fontSize = textItem.fontSize || 12;
+                    ctx.font = `${fontSize}px sans-serif`;
+                    ctx.fillText(textItem.text, textItem.x, textItem.y);
+                }
+                
+                ctx.restore();
+            }
+        }
+    }
+
+    /**
+     * Detect solid rectangular redactions by scanning rendered pixels (fallback for scanned pages)
+     */
+    detectRedactions(imageData, pageNum, viewport, textItems = []) {
+        const { data, width, height } = imageData;
+        const redactions = [];
+        const { minRedactionSize, minRedactionHeight, minFillRatio } = this.settings;
+        
+        const colorAt = (x, y) => {
+            const idx = (y * width + x) * 4;
+            return [data[idx], data[idx + 1], data[idx + 2]];
+        };
+        
+        const matcherFor = (color, tolerance) => (x, y) => {
+            if (x < 0 || x >= width || y < 0 || y >= height) return false;
+            return this.colorWithinTolerance(colorAt(x, y), color, tolerance);
+        };
+        
+        const addRegion = (seedX, seedY, profile, minFillRatio) => {
+            const seedColor = colorAt(seedX, seedY);
+            const matchColor = profile.mode === 'uniform' ? seedColor : profile.color;
+            const matches = matcherFor(matchColor, profile.tolerance);
+            const region = this.expandRegion(matches, seedX, seedY, width, height);
+            
+            const rectWidth = region.maxX - region.minX;
+            const rectHeight = region.maxY - region.minY;
+            if (rectWidth < minRedactionSize || rectHeight < minRedactionHeight) return;
+            
+            // Light fills blend into the page, so never accept most of the page as one box
+            if (profile.requireText && rectWidth * rectHeight > width * height * 0.5) return;
+            
+            if (this.measureFill(matches, region) <= minFillRatio) return;
+            
+            const pdfRect = this.canvasToPdfRect(region.minX, region.minY, rectWidth, rectHeight, viewport);
+            const redaction = this.createRedaction(pageNum, pdfRect, viewport, 'raster', {
+                profile: profile.id,
+                color: this.toHexColor(seedColor)
+            });
+            
+            if (profile.requireText && !this.coversText(redaction, textItems, viewport)) return;
+            
+            redactions.push(redaction);
+        };
+        
+        // Profiles that stand out from the page on their own (e.g. black) are found across the whole page.
+        // Any-color fills have no color to look for, so they are only seeded from text below.
+        const scanProfiles = this.getFillProfiles().filter(p => !p.requireText && p.mode === 'color');
+        
+        // Thin strokes touching a box (text, rules) would join it into one irregular region, so they are
+        // eroded away before labelling and the box is grown back afterwards. Smaller boxes need a smaller radius.
+        const radius = Math.max(0, Math.min(2, Math.floor((Math.min(minRedactionSize, minRedactionHeight) - 1) / 2)));
+        
+        for (const profile of scanProfiles) {
+            const mask = this.binarize(imageData, profile.color, profile.tolerance);
+            const cores = this.findComponents(this.erodeMask(mask, width, height, radius), width, height);
+            
+            for (const core of cores) {
+                const minX = Math.max(0, core.minX - radius);
+                const minY = Math.max(0, core.minY - radius);
+                const rectWidth = Math.min(width - 1, core.maxX + radius) - minX + 1;
+                const rectHeight = Math.min(height - 1, core.maxY + radius) - minY + 1;
+                if (rectWidth < minRedactionSize || rectHeight < minRedactionHeight) continue;
+                
+                // A box fills its rectangle; what's left of glyphs, photos, and shading doesn't
+                if (this.countMask(mask, width, minX, minY, rectWidth, rectHeight) / (rectWidth * rectHeight) <= minFillRatio) continue;
+                
+                const pdfRect = this.canvasToPdfRect(minX, minY, rectWidth, rectHeight, viewport);
+                redactions.push(this.createRedaction(pageNum, pdfRect, viewport, 'raster', {
+                    profile: profile.id,
+                    color: this.toHexColor(colorAt(core.seedX, core.seedY))
+                }));
+            }
+        }
+        
+        // Light or colored boxes only count when they hide text, so seed those from the text layer
+        const textProfiles = this.getFillProfiles().filter(p => p.requireText);
+        
+        if (textProfiles.length > 0) {
+            for (const item of textItems) {
+                if (!item.str || item.str.trim() === '') continue;
+                
+                const bounds = this.getTextItemBounds(item, viewport);
+                const x = Math.round((bounds.left + bounds.right) / 2);
+                const y = Math.round(bounds.bottom - (bounds.bottom - bounds.top) / 3);
+                
+                if (x < 0 || x >= width || y < 0 || y >= height) continue;
+                if (redactions.some(r => x >= r.x && x <= r.x + r.width && y >= r.y && y <= r.y + r.height)) continue;
+                
+                const profile = this.matchFillProfile(colorAt(x, y), textProfiles);
+                if (!profile) continue;
+                
+                // Visible glyphs break up the fill, so a covering box must be almost perfectly uniform
+                addRegion(x, y, profile, 0.98);
+            }
+        }
+        
+        return this.mergeRedactions(redactions);
+    }
+
+    /**
+     * One byte per pixel: 1 where the pixel is within tolerance of a color
+     */
+    binarize(imageData, color, tolerance) {
+        const { data } = imageData;
+        const [r, g, b] = color;
+        const mask = new Uint8Array(data.length / 4);
+        
+        for (let i = 0, idx = 0; i < mask.length; i++, idx += 4) {
+            mask[i] = Math.abs(data[idx] - r) < tolerance &&
+                Math.abs(data[idx + 1] - g) < tolerance &&
+                Math.abs(data[idx + 2] - b) < tolerance ? 1 : 0;
+        }
+        
+        return mask;
+    }
+
+    /**
+     * Erode a mask with a square of the given radius: a pixel is kept only when every pixel within
+     * the radius is set. Done as a horizontal then a vertical pass over run lengths.
+     */
+    erodeMask(mask, width, height, radius) {
+        if (radius === 0) return mask;
+        
+        const pass = (source, length, count, stride, step) => {
+            const result = new Uint8Array(source.length);
+            const run = new Int32Array(length);
+            
+            for (let line = 0; line < count; line++) {
+                const start = line * stride;
+                
+                // Set pixels since the last gap, then keep those with enough on both sides
+                for (let i = 0, n = 0; i < length; i++) {
+                    n = source[start + i * step] ? n + 1 : 0;
+                    run[i] = n;
+                }
+                for (let i = length - 1, n = 0; i >= 0; i--) {
+                    n = source[start + i * step] ? n + 1 : 0;
+                    if (run[i] > radius && n > radius) result[start + i * step] = 1;
+                }
+            }
+            
+            return result;
+        };
+        
+        const horizontal = pass(mask, width, height, width, 1);
+        return pass(horizontal, height, width, 1, width);
+    }
+
+    /**
+     * Number of set pixels of a mask inside a rectangle
+     */
+    countMask(mask, width, x, y, rectWidth, rectHeight) {
+        let count = 0;
+        for (let row = y; row < y + rectHeight; row++) {
+            for (let i = row * width + x, end = i + rectWidth; i < end; i++) {
+                count += mask[i];
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Find the 4-connected regions of a mask in a single pass. Each pixel takes the label of its left
+     * or upper neighbour; when both are labelled differently the two labels are joined (union-find),
+     * so only the previous row of labels is ever kept.
+     * Returns each region's bounding box, pixel count, and its first pixel.
+     */
+    findComponents(mask, width, height) {
+        let capacity = 1024;
+        let parent = new Int32Array(capacity);
+        let stats = new Int32Array(capacity * 6); // minX, minY, maxX, maxY, count, first pixel index
+        let next = 1; // Label 0 is the background
+        
+        let previous = new Int32Array(width);
+        let current = new Int32Array(width);
+        
+        const find = (label) => {
+            while (parent[label] !== label) {
+                parent[label] = parent[parent[label]];
+                label = parent[label];
+            }
+            return label;
+        };
+        
+        const grow = () => {
+            capacity *= 2;
+            const biggerParent = new Int32Array(capacity);
+            biggerParent.set(parent);
+            parent = biggerParent;
+            const biggerStats = new Int32Array(capacity * 6);
+            biggerStats.set(stats);
+            stats = biggerStats;
+        };
+        
+        // Join two regions, folding the second one's stats into the first
+        const union = (a, b) => {
+            a = find(a);
+            b = find(b);
+            if (a === b) return a;
+            
+            const sa = a * 6, sb = b * 6;
+            stats[sa] = Math.min(stats[sa], stats[sb]);
+            stats[sa + 1] = Math.min(stats[sa + 1], stats[sb + 1]);
+            stats[sa + 2] = Math.max(stats[sa + 2], stats[sb + 2]);
+            stats[sa + 3] = Math.max(stats[sa + 3], stats[sb + 3]);
+            stats[sa + 4] += stats[sb + 4];
+            stats[sa + 5] = Math.min(stats[sa + 5], stats[sb + 5]);
+            parent[b] = a;
+            return a;
+        };
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!mask[y * width + x]) {
+                    current[x] = 0;
+                    continue;
+                }
+                
+                const left = x > 0 ? current[x - 1] : 0;
+                const up = previous[x];
+                let label;
+                
+                if (left && up) {
+                    label = union(left, up);
+                } else if (left || up) {
+                    label = find(left || up);
+                } else {
+                    if (next === capacity) grow();
+                    label = next++;
+                    parent[label] = label;
+                    const s = label * 6;
+                    stats[s] = x;
+                    stats[s + 1] = y;
+                    stats[s + 2] = x;
+                    stats[s + 3] = y;
+                    stats[s + 4] = 0;
+                    stats[s + 5] = y * width + x;
+                }
+                
+                current[x] = label;
+                const s = label * 6;
+                if (x < stats[s]) stats[s] = x;
+                if (x > stats[s + 2]) stats[s + 2] = x;
+                stats[s + 3] = y;
+                stats[s + 4]++;
+            }
+            
+            [previous, current] = [current, previous];
+        }
+        
+        const components = [];
+        for (let label = 1; label < next; label++) {
+            if (parent[label] !== label) continue;
+            
+            const s = label * 6;
+            components.push({
+                minX: stats[s],
+                minY: stats[s + 1],
+                maxX: stats[s + 2],
+                maxY: stats[s + 3],
+                count: stats[s + 4],
+                seedX: stats[s + 5] % width,
+                seedY: Math.floor(stats[s + 5] / width)
+            });
+        }
+        
+        return components;
+    }
+
+    /**
+     * Grow a rectangle outward from a seed pixel while rows and columns keep matching
+     */
+    expandRegion(matches, x, y, width, height) {
+        let minX = x, maxX = x, minY = y, maxY = y;
+        
+        // Expand horizontally
+        while (minX > 0 && matches(minX - 1, y)) minX--;
+        while (maxX < width - 1 && matches(maxX + 1, y)) maxX++;
+        
+        // Expand vertically
+        let allMatchAbove = true, allMatchBelow = true;
+        
+        while (allMatchAbove && minY > 0) {
+            minY--;
+            for (let tx = minX; tx <= maxX; tx += 3) {
+                if (!matches(tx, minY)) {
+                    allMatchAbove = false;
+                    minY++;
+                    break;
+                }
+            }
+        }
+        
+        while (allMatchBelow && maxY < height - 1) {
+            maxY++;
+            for (let tx = minX; tx <= maxX; tx += 3) {
+                if (!matches(tx, maxY)) {
+                    allMatchBelow = false;
+                    maxY--;
+                    break;
+                }
+            }
+        }
+        
+        return { minX, maxX, minY, maxY };
+    }
+
+    /**
+     * Fraction of sampled pixels in a region that match the fill
+     */
+    measureFill(matches, region) {
+        let matchCount = 0;
+        let totalPixels = 0;
+        
+        for (let vy = region.minY; vy <= region.maxY; vy += 2) {
+            for (let vx = region.minX; vx <= region.maxX; vx += 2) {
+                totalPixels++;
+                if (matches(vx, vy)) matchCount++;
+            }
+        }
+        
+        return totalPixels > 0 ? matchCount / totalPixels : 0;
+    }
+
+    /**
+     * Detect filled rectangles matching a fill profile by walking the page's operator list
+     */
+    detectVectorRedactions(operatorList, pageNum, viewport) {
+        const redactions = [];
+        
+        // Sizes are in PDF points
+        const minWidth = 8;
+        const minHeight = 4;
+        const pageArea = (viewport.width / viewport.scale) * (viewport.height / viewport.scale);
+        
+        this.walkOperators(operatorList, {
+            fill: (shapes, state, opIndex) => {
+                const profile = this.matchFillProfile(state.fillColor, this.getFillProfiles());
+                if (!profile || state.fillAlpha <= 0.5) return;
+                
+                for (const shape of shapes) {
+                    const bounds = this.getRectangleBounds(shape);
+                    if (!bounds) continue;
+                    
+                    const width = bounds[2] - bounds[0];
+                    const height = bounds[3] - bounds[1];
+                    
+                    // Skip hairlines and full-page dark backgrounds
+                    if (width < minWidth || height < minHeight) continue;
+                    if (width * height > pageArea * 0.5) continue;
+                    
+                    const redaction = this.createRedaction(pageNum, bounds, viewport, 'vector', {
+                        profile: profile.id,
+                        color: this.toHexColor(state.fillColor)
+                    });
+                    redaction.operatorIndices = [opIndex];
+                    redactions.push(redaction);
+                }
+            }
+        });
+        
+        return this.mergeRedactions(redactions);
+    }
+
+    /**
+     * Collect where images are painted on the page, as rectangles in PDF user space
+     */
+    collectImagePlacements(operatorList) {
+        const placements = [];
+        
+        this.walkOperators(operatorList, {
+            image: (pdfRect, opIndex, args) => {
+                placements.push({
+                    pdfRect,
+                    opIndex,
+                    objId: typeof args[0] === 'string' ? args[0] : null
+                });
+            }
+        });
+        
+        return placements;
+    }
+
+    /**
+     * Walk the page's operators while tracking the graphics state, reporting fills and image placements.
+     * Annotation appearances are skipped; they are handled by detectAnnotationRedactions.
+     */
+    walkOperators(operatorList, visitor) {
+        const OPS = pdfjsLib.OPS;
+        const { fnArray, argsArray } = operatorList;
+        
+        const stateStack = [];
+        let state = { ctm: [1, 0, 0, 1, 0, 0], fillColor: [0, 0, 0], fillAlpha: 1 };
+        let pendingShapes = null;
+        let annotationDepth = 0;
+        
+        for (let i = 0; i < fnArray.length; i++) {
+            const args = argsArray[i];
+            
+            if (fnArray[i] === OPS.beginAnnotation) annotationDepth++;
+            if (fnArray[i] === OPS.endAnnotation) annotationDepth--;
+            if (annotationDepth > 0 || fnArray[i] === OPS.endAnnotation) continue;
+            
+            switch (fnArray[i]) {
+                case OPS.save:
+                    stateStack.push({ ...state });
+                    break;
+                case OPS.restore:
+                    if (stateStack.length > 0) state = stateStack.pop();
+                    break;
+                case OPS.transform:
+                    state.ctm = pdfjsLib.Util.transform(state.ctm, args);
+                    break;
+                case OPS.paintFormXObjectBegin:
+                    stateStack.push({ ...state });
+                    if (args[0]) state.ctm = pdfjsLib.Util.transform(state.ctm, args[0]);
+                    break;
+                case OPS.paintFormXObjectEnd:
+                    if (stateStack.length > 0) state = stateStack.pop();
+                    break;
+                case OPS.setFillRGBColor:
+                    state.fillColor = this.parseOperatorColor(args);
+                    break;
+                case OPS.setGState:
+                    for (const [key, value] of args[0]) {
+                        if (key === 'ca') state.fillAlpha = value;
+                    }
+                    break;
+                case OPS.constructPath:
+                    pendingShapes = this.collectPathShapes(args, state.ctm);
+                    break;
+                case OPS.fill:
+                case OPS.eoFill:
+                case OPS.fillStroke:
+                case OPS.eoFillStroke:
+                case OPS.closeFillStroke:
+                case OPS.closeEOFillStroke:
+                    if (pendingShapes && visitor.fill) visitor.fill(pendingShapes, state, i);
+                    pendingShapes = null;
+                    break;
+                case OPS.endPath:
+                case OPS.stroke:
+                case OPS.closeStroke:
+                    pendingShapes = null;
+                    break;
+                case OPS.paintImageXObject:
+                case OPS.paintInlineImageXObject:
+                case OPS.paintImageMaskXObject:
+                    if (visitor.image) {
+                        // Images are painted into the unit square of the current transform
+                        const corners = [[0, 0], [1, 0], [1, 1], [0, 1]]
+                            .map(p => pdfjsLib.Util.applyTransform(p, state.ctm));
+                        const xs = corners.map(p => p[0]);
+                        const ys = corners.map(p => p[1]);
+                        visitor.image([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)], i, args);
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Detect redactions marked with /Redact annotations or filled /Square annotations
+     */
+    detectAnnotationRedactions(annotations, pageNum, viewport, textItems, getImageData) {
+        const redactions = [];
+        
+        for (const annotation of annotations) {
+            if (annotation.subtype !== 'Redact' && annotation.subtype !== 'Square') continue;
+            if (!annotation.rect) continue;
+            
+            const pdfRect = pdfjsLib.Util.normalizeRect(annotation.rect);
+            const redaction = this.createRedaction(pageNum, pdfRect, viewport, 'annotation', {
+                profile: null,
+                color: annotation.color ? this.toHexColor(annotation.color) : '#000000'
+            });
+            redaction.annotationType = annotation.subtype;
+            
+            // Check what the appearance stream painted inside the rect, if anything
+            const fill = this.sampleRenderedFill(getImageData(), redaction);
+            const profile = fill ? this.matchFillProfile(fill, this.getFillProfiles()) : null;
+            
+            if (profile) {
+                redaction.fillProfile = profile.id;
+                redaction.fillColor = this.toHexColor(fill);
+            }
+            
+            // Unapplied Redact annotations always count; a Square only counts when it is a solid box
+            if (annotation.subtype === 'Square') {
+                if (!profile) continue;
+                if (profile.requireText && !this.coversText(redaction, textItems, viewport)) continue;
+            }
+            
+            redactions.push(redaction);
+        }
+        
+        return redactions;
+    }
+
+    /**
+     * Split constructPath arguments into sub-paths transformed into user space
+     */
+    collectPathShapes(args, ctm) {
+        const OPS = pdfjsLib.OPS;
+        const [ops, coords] = args;
+        const shapes = [];
+        const toUser = (x, y) => pdfjsLib.Util.applyTransform([x, y], ctm);
+        let current = null;
+        let j = 0;
+        
+        for (const op of ops) {
+            switch (op) {
+                case OPS.rectangle: {
+                    const [x, y, w, h] = coords.slice(j, j + 4);
+                    j += 4;
+                    shapes.push({
+                        points: [toUser(x, y), toUser(x + w, y), toUser(x + w, y + h), toUser(x, y + h)],
+                        curved: false
+                    });
+                    current = null;
+                    break;
+                }
+                case OPS.moveTo:
+                    current = { points: [toUser(coords[j], coords[j + 1])], curved: false };
+                    shapes.push(current);
+                    j += 2;
+                    break;
+                case OPS.lineTo:
+                    if (!current) {
+                        current = { points: [], curved: false };
+                        shapes.push(current);
+                    }
+                    current.points.push(toUser(coords[j], coords[j + 1]));
+                    j += 2;
+                    break;
+                case OPS.curveTo:
+                    if (current) current.curved = true;
+                    j += 6;
+                    break;
+                case OPS.curveTo2:
+                case OPS.curveTo3:
+                    if (current) current.curved = true;
+                    j += 4;
+                    break;
             }
         }
         
-        // Sort by position (top to bottom, left to right)
-        foundText.sort((a, b) => {
-            if (Math.abs(a.y - b.y) < 5) {
-                return a.x - b.x;
-            }
-            return a.y - b.y;
-        });
+        return shapes;
+    }
+
+    /**
+     * Return [x1, y1, x2, y2] if a shape is an axis-aligned rectangle, otherwise null
+     */
+    getRectangleBounds(shape) {
+        if (shape.curved || shape.points.length < 4) return null;
         
-        return foundText;
+        const xs = shape.points.map(p => p[0]);
+        const ys = shape.points.map(p => p[1]);
+        const bounds = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+        const epsilon = 0.5;
+        
+        // Every corner must sit on the bounding box edges (rejects skewed and irregular paths)
+        const onEdges = shape.points.every(([x, y]) =>
+            (Math.abs(x - bounds[0]) < epsilon || Math.abs(x - bounds[2]) < epsilon) &&
+            (Math.abs(y - bounds[1]) < epsilon || Math.abs(y - bounds[3]) < epsilon)
+        );
+        
+        return onEdges ? bounds : null;
     }
 
     /**
-     * Reveal the redacted text by removing black boxes and rendering the hidden text
+     * Normalize a fill color operand to [r, g, b] in the 0-255 range
      */
-    revealRedactedText(ctx, redactions, viewport) {
-        for (const redaction of redactions) {
-            // First, paint over the black box with white
-            ctx.fillStyle = '#FFFFFF';
-            ctx.fillRect(
-                redaction.x - 1,
-                redaction.y - 1,
-                redaction.width + 2,
-                redaction.height + 2
-            );
+    parseOperatorColor(args) {
+        if (typeof args[0] === 'string') {
+            const hex = args[0].replace('#', '');
+            return [0, 2, 4].map(i => parseInt(hex.substring(i, i + 2), 16));
+        }
+        return [args[0], args[1], args[2]];
+    }
+
+    /**
+     * Check whether the page paints any images (scanned pages, flattened boxes)
+     */
+    hasRasterContent(operatorList) {
+        const OPS = pdfjsLib.OPS;
+        const imageOps = [
+            OPS.paintImageXObject,
+            OPS.paintInlineImageXObject,
+            OPS.paintInlineImageXObjectGroup,
+            OPS.paintImageXObjectRepeat,
+            OPS.paintImageMaskXObject,
+            OPS.paintImageMaskXObjectGroup,
+            OPS.paintImageMaskXObjectRepeat
+        ];
+        return operatorList.fnArray.some(fn => imageOps.includes(fn));
+    }
+
+    /**
+     * Get the enabled fill profiles in match order
+     */
+    getFillProfiles() {
+        return this.fillProfiles.filter(p => p.enabled);
+    }
+
+    /**
+     * Look up a fill profile by id
+     */
+    getFillProfile(id) {
+        return this.fillProfiles.find(p => p.id === id) || null;
+    }
+
+    /**
+     * Find the first profile a fill color belongs to
+     */
+    matchFillProfile(color, profiles) {
+        return profiles.find(p =>
+            p.mode === 'uniform' || this.colorWithinTolerance(color, p.color, p.tolerance)
+        ) || null;
+    }
+
+    /**
+     * Check that every channel of a color is within tolerance of a target
+     */
+    colorWithinTolerance(color, target, tolerance) {
+        return Math.abs(color[0] - target[0]) < tolerance &&
+               Math.abs(color[1] - target[1]) < tolerance &&
+               Math.abs(color[2] - target[2]) < tolerance;
+    }
+
+    /**
+     * Format [r, g, b] as a #rrggbb string
+     */
+    toHexColor(color) {
+        return '#' + Array.from(color).slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Get the canvas-space bounds of a text item
+     */
+    getTextItemBounds(item, viewport) {
+        const transform = item.transform;
+        const fontSize = Math.abs(transform[0]) || 12;
+        const itemWidth = item.width || (item.str.length * fontSize * 0.6);
+        const vt = viewport.transform;
+        const canvasX = vt[0] * transform[4] + vt[4];
+        const canvasY = vt[3] * transform[5] + vt[5];
+        
+        return {
+            left: canvasX,
+            right: canvasX + itemWidth * viewport.scale,
+            top: canvasY - fontSize * viewport.scale,
+            bottom: canvasY
+        };
+    }
+
+    /**
+     * Check whether a redaction sits over text, either most of a text item or a run inside a longer line
+     */
+    coversText(redaction, textItems, viewport) {
+        return textItems.some(item => {
+            if (!item.str || item.str.trim() === '') return false;
             
-            // Now render the hidden text with clipping to stay within bounds
-            if (redaction.hiddenText && redaction.hiddenText.length > 0) {
-                ctx.save();
-                
-                // Create clipping region to ensure text stays within redaction bounds
-                ctx.beginPath();
-                ctx.rect(redaction.x - 1, redaction.y - 1, redaction.width + 2, redaction.height + 2);
-                ctx.clip();
-                
-                ctx.fillStyle = '#000000';
-                ctx.textBaseline = 'alphabetic';
-                
-                for (const textItem of redaction.hiddenText) {
-                    const fontSize = textItem.fontSize || 12;
-                    ctx.font = `${fontSize}px sans-serif`;
-                    ctx.fillText(textItem.text, textItem.x, textItem.y);
-                }
+            const bounds = this.getTextItemBounds(item, viewport);
+            const centerY = (bounds.top + bounds.bottom) / 2;
+            
+            return redaction.segments.some(segment => {
+                if (centerY < segment.y || centerY > segment.y + segment.height) return false;
                 
-                ctx.restore();
-            }
-        }
+                const overlap = Math.min(bounds.right, segment.x + segment.width) - Math.max(bounds.left, segment.x);
+                return overlap >= (bounds.right - bounds.left) * 0.5 || overlap >= segment.width * 0.5;
+            });
+        });
+    }
+
+    /**
+     * Check that a filled rectangle hides text and renders as one solid color (nothing drawn on top)
+     */
+    isCoveringFill(redaction, textItems, viewport, imageData) {
+        if (!this.coversText(redaction, textItems, viewport)) return false;
+        
+        const fill = this.parseOperatorColor([redaction.fillColor]);
+        const tolerance = this.getFillProfile(redaction.fillProfile).tolerance;
+        
+        return this.measureRenderedFill(imageData, redaction, fill, tolerance) > 0.98;
     }
 
     /**
-     * Detect black rectangular redactions in the image
+     * Return the color a redaction's area is rendered in if it is one solid fill, otherwise null
      */
-    detectRedactions(imageData, pageNum, viewport) {
+    sampleRenderedFill(imageData, redaction) {
         const { data, width, height } = imageData;
-        const redactions = [];
-        const visited = new Set();
         
-        // Threshold for "black" pixels
-        const blackThreshold = 30;
-        const minRedactionSize = 20;
+        // The middle of a multi-line group can fall between lines, so sample inside a segment
+        const [segment] = redaction.segments;
+        const x = Math.min(width - 1, Math.max(0, Math.round(segment.x + segment.width / 2)));
+        const y = Math.min(height - 1, Math.max(0, Math.round(segment.y + segment.height / 2)));
+        const idx = (y * width + x) * 4;
+        const color = [data[idx], data[idx + 1], data[idx + 2]];
         
-        const isBlack = (x, y) => {
-            if (x < 0 || x >= width || y < 0 || y >= height) return false;
+        return this.measureRenderedFill(imageData, redaction, color, 8) > 0.98 ? color : null;
+    }
+
+    /**
+     * Fraction of a redaction's rendered pixels within tolerance of a color
+     */
+    measureRenderedFill(imageData, redaction, color, tolerance) {
+        const { data, width, height } = imageData;
+        
+        const matches = (x, y) => {
             const idx = (y * width + x) * 4;
-            return data[idx] < blackThreshold && 
-                   data[idx + 1] < blackThreshold && 
-                   data[idx + 2] < blackThreshold;
+            return this.colorWithinTolerance([data[idx], data[idx + 1], data[idx + 2]], color, tolerance);
         };
         
-        const getKey = (x, y) => `${x},${y}`;
+        // Weight each line segment by its area
+        let filled = 0;
+        let total = 0;
         
-        // Scan for black regions
-        for (let y = 0; y < height; y += 5) {
-            for (let x = 0; x < width; x += 5) {
-                if (visited.has(getKey(x, y))) continue;
-                
-                if (isBlack(x, y)) {
-                    let minX = x, maxX = x, minY = y, maxY = y;
-                    
-                    // Expand horizontally
-                    while (minX > 0 && isBlack(minX - 1, y)) minX--;
-                    while (maxX < width - 1 && isBlack(maxX + 1, y)) maxX++;
-                    
-                    // Expand vertically
-                    let allBlackAbove = true, allBlackBelow = true;
-                    
-                    while (allBlackAbove && minY > 0) {
-                        minY--;
-                        for (let tx = minX; tx <= maxX; tx += 3) {
-                            if (!isBlack(tx, minY)) {
-                                allBlackAbove = false;
-                                minY++;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    while (allBlackBelow && maxY < height - 1) {
-                        maxY++;
-                        for (let tx = minX; tx <= maxX; tx += 3) {
-                            if (!isBlack(tx, maxY)) {
-                                allBlackBelow = false;
-                                maxY--;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    // Mark as visited
-                    for (let vy = minY; vy <= maxY; vy += 5) {
-                        for (let vx = minX; vx <= maxX; vx += 5) {
-                            visited.add(getKey(vx, vy));
-                        }
-                    }
-                    
-                    const rectWidth = maxX - minX;
-                    const rectHeight = maxY - minY;
-                    
-                    if (rectWidth >= minRedactionSize && rectHeight >= 8) {
-                        let blackPixelCount = 0;
-                        let totalPixels = 0;
-                        
-                        for (let vy = minY; vy <= maxY; vy += 2) {
-                            for (let vx = minX; vx <= maxX; vx += 2) {
-                                totalPixels++;
-                                if (isBlack(vx, vy)) blackPixelCount++;
-                            }
-                        }
-                        
-                        if (blackPixelCount / totalPixels > 0.85) {
-                            redactions.push({
-                                page: pageNum,
-                                x: minX,
-                                y: minY,
-                                width: rectWidth,
-                                height: rectHeight,
-                                pdfX: minX / this.scale,
-                                pdfY: minY / this.scale,
-                                pdfWidth: rectWidth / this.scale,
-                                pdfHeight: rectHeight / this.scale,
-                                hiddenText: []
-                            });
-                        }
-                    }
-                }
-            }
+        for (const segment of redaction.segments) {
+            // Inset to stay clear of anti-aliased edges
+            const region = {
+                minX: Math.max(0, Math.ceil(segment.x) + 2),
+                minY: Math.max(0, Math.ceil(segment.y) + 2),
+                maxX: Math.min(width - 1, Math.floor(segment.x + segment.width) - 2),
+                maxY: Math.min(height - 1, Math.floor(segment.y + segment.height) - 2)
+            };
+            const area = Math.max(0, region.maxX - region.minX + 1) * Math.max(0, region.maxY - region.minY + 1);
+            
+            filled += this.measureFill(matches, region) * area;
+            total += area;
         }
         
-        return this.mergeRedactions(redactions);
+        return total > 0 ? filled / total : 0;
+    }
+
+    /**
+     * Build a redaction record from a rectangle in PDF user space
+     */
+    createRedaction(pageNum, pdfRect, viewport, detector, fill, segmentRects = [pdfRect]) {
+        const { x, y, width, height } = this.toCanvasRect(pdfRect, viewport);
+        
+        return {
+            page: pageNum,
+            x,
+            y,
+            width,
+            height,
+            pdfX: x / viewport.scale,
+            pdfY: y / viewport.scale,
+            pdfWidth: width / viewport.scale,
+            pdfHeight: height / viewport.scale,
+            pdfRect,
+            detector,
+            fillProfile: fill.profile,
+            fillColor: fill.color,
+            // One rectangle per redacted line; the fields above are their bounding box
+            segments: segmentRects.map(rect => ({ ...this.toCanvasRect(rect, viewport), pdfRect: rect })),
+            hiddenText: []
+        };
+    }
+
+    /**
+     * Convert an [x1, y1, x2, y2] rectangle in PDF user space to a canvas-space rectangle
+     */
+    toCanvasRect(pdfRect, viewport) {
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(pdfRect);
+        return {
+            x: Math.min(x1, x2),
+            y: Math.min(y1, y2),
+            width: Math.abs(x2 - x1),
+            height: Math.abs(y2 - y1)
+        };
+    }
+
+    /**
+     * Bounding box of [x1, y1, x2, y2] rectangles
+     */
+    unionRect(rects) {
+        return [
+            Math.min(...rects.map(r => r[0])),
+            Math.min(...rects.map(r => r[1])),
+            Math.max(...rects.map(r => r[2])),
+            Math.max(...rects.map(r => r[3]))
+        ];
+    }
+
+    /**
+     * Total canvas area of a redaction's line segments
+     */
+    getSegmentArea(redaction) {
+        return redaction.segments.reduce((sum, segment) => sum + segment.width * segment.height, 0);
+    }
+
+    /**
+     * Convert a canvas-space rectangle to [x1, y1, x2, y2] in PDF user space
+     */
+    canvasToPdfRect(x, y, width, height, viewport) {
+        const [x1, y1] = viewport.convertToPdfPoint(x, y);
+        const [x2, y2] = viewport.convertToPdfPoint(x + width, y + height);
+        return [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+    }
+
+    /**
+     * Check whether two canvas-space rectangles intersect
+     */
+    rectsOverlap(a, b) {
+        return a.x < b.x + b.width &&
+               a.x + a.width > b.x &&
+               a.y < b.y + b.height &&
+               a.y + a.height > b.y;
     }
 
     /**
-     * Merge overlapping or adjacent redactions
+     * Merge overlapping or adjacent redactions. Pieces of the same line become one segment;
+     * stacked lines are grouped under one redaction but keep their own segments, so the
+     * unredacted text between them isn't swallowed by one tall box.
      */
     mergeRedactions(redactions) {
-        if (redactions.length < 2) return redactions;
+        const gap = this.settings.mergeGap;
+        
+        const near = (a, b) =>
+            a.x - gap <= b.x + b.width &&
+            a.x + a.width + gap >= b.x &&
+            a.y - gap <= b.y + b.height &&
+            a.y + a.height + gap >= b.y;
+        
+        // Same line: the boxes share most of the shorter one's height, or touch with no room for text between
+        const sameLine = (a, b) => {
+            const verticalOverlap = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+            const horizontalOverlap = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+            return verticalOverlap >= Math.min(a.height, b.height) * 0.5 ||
+                (verticalOverlap >= -1 && horizontalOverlap > 0);
+        };
         
-        const merged = [];
+        const lines = this.clusterRedactions(redactions, (a, b) => near(a, b) && sameLine(a, b))
+            .map(cluster => this.combineRedactions(cluster, false));
+        
+        return this.clusterRedactions(lines, near)
+            .map(cluster => this.combineRedactions(cluster, true));
+    }
+
+    /**
+     * Group redactions of the same fill that are linked directly or through each other
+     */
+    clusterRedactions(redactions, linked) {
+        const clusters = [];
         const used = new Set();
         
         for (let i = 0; i < redactions.length; i++) {
             if (used.has(i)) continue;
             
-            let current = { ...redactions[i] };
+            const cluster = [redactions[i]];
             used.add(i);
             
-            let didMerge = true;
-            while (didMerge) {
-                didMerge = false;
-                
+            for (let k = 0; k < cluster.length; k++) {
                 for (let j = 0; j < redactions.length; j++) {
                     if (used.has(j)) continue;
                     
-                    const other = redactions[j];
-                    const gap = 10;
+                    // Boxes of different fills are separate redactions
+                    if (redactions[j].fillProfile !== cluster[k].fillProfile) continue;
                     
-                    if (current.x - gap <= other.x + other.width &&
-                        current.x + current.width + gap >= other.x &&
-                        current.y - gap <= other.y + other.height &&
-                        current.y + current.height + gap >= other.y) {
-                        
-                        const newX = Math.min(current.x, other.x);
-                        const newY = Math.min(current.y, other.y);
-                        const newMaxX = Math.max(current.x + current.width, other.x + other.width);
-                        const newMaxY = Math.max(current.y + current.height, other.y + other.height);
-                        
-                        current.x = newX;
-                        current.y = newY;
-                        current.width = newMaxX - newX;
-                        current.height = newMaxY - newY;
-                        current.pdfX = newX / this.scale;
-                        current.pdfY = newY / this.scale;
-                        current.pdfWidth = current.width / this.scale;
-                        current.pdfHeight = current.height / this.scale;
-                        
+                    if (linked(cluster[k], redactions[j])) {
+                        cluster.push(redactions[j]);
                         used.add(j);
-                        didMerge = true;
                     }
                 }
             }
             
-            merged.push(current);
+            clusters.push(cluster);
+        }
+        
+        return clusters;
+    }
+
+    /**
+     * Combine clustered redactions into one, either as a single box or keeping each one's segments
+     */
+    combineRedactions(cluster, keepSegments) {
+        if (cluster.length === 1) return cluster[0];
+        
+        const x = Math.min(...cluster.map(r => r.x));
+        const y = Math.min(...cluster.map(r => r.y));
+        const width = Math.max(...cluster.map(r => r.x + r.width)) - x;
+        const height = Math.max(...cluster.map(r => r.y + r.height)) - y;
+        const pdfRect = this.unionRect(cluster.map(r => r.pdfRect));
+        const pdfX = Math.min(...cluster.map(r => r.pdfX));
+        const pdfY = Math.min(...cluster.map(r => r.pdfY));
+        
+        const combined = {
+            ...cluster[0],
+            x,
+            y,
+            width,
+            height,
+            pdfX,
+            pdfY,
+            pdfWidth: Math.max(...cluster.map(r => r.pdfX + r.pdfWidth)) - pdfX,
+            pdfHeight: Math.max(...cluster.map(r => r.pdfY + r.pdfHeight)) - pdfY,
+            pdfRect,
+            segments: keepSegments
+                ? cluster.flatMap(r => r.segments).sort((a, b) => a.y - b.y || a.x - b.x)
+                : [{ x, y, width, height, pdfRect }]
+        };
+        
+        if (cluster.some(r => r.operatorIndices)) {
+            combined.operatorIndices = cluster.flatMap(r => r.operatorIndices || []);
         }
         
-        return merged;
+        return combined;
     }
 
     /**
@@ -420,13 +2030,55 @@ class PDFProcessor {
     }
 
     /**
-     * Set scale and re-render
+     * Set the display scale. Pages and findings are measured again from their PDF geometry;
+     * nothing is rendered or detected again.
      */
-    async setScale(newScale) {
+    setScale(newScale) {
         this.scale = Math.max(0.5, Math.min(3, newScale));
+        this.pages.forEach(pageData => this.rescalePage(pageData));
+        this.redactions = this.pages.flatMap(p => p.redactions);
         return this.scale;
     }
 
+    /**
+     * Measure a page and its redactions at the current scale. Only what is shown changes;
+     * the page's analysis viewport stays at the analysis resolution.
+     */
+    rescalePage(pageData) {
+        const ratio = this.scale / pageData.viewport.scale;
+        if (ratio === 1) return;
+        
+        const viewport = pageData.viewport.clone({ scale: this.scale });
+        pageData.viewport = viewport;
+        pageData.width = viewport.width;
+        pageData.height = viewport.height;
+        pageData.redactions = this.measureRedactions(pageData.redactions, viewport, ratio);
+    }
+
+    /**
+     * Rebuild redactions from their PDF rectangles on a viewport ratio times the scale of the one
+     * they were measured on; recovered text positions scale by the same ratio
+     */
+    measureRedactions(redactions, viewport, ratio) {
+        if (ratio === 1) return redactions;
+        
+        return redactions.map(r => ({
+            ...r,
+            ...this.createRedaction(r.page, r.pdfRect, viewport, r.detector, {
+                profile: r.fillProfile,
+                color: r.fillColor
+            }, r.segments.map(segment => segment.pdfRect)),
+            hiddenText: r.hiddenText.map(t => ({
+                ...t,
+                x: t.x * ratio,
+                y: t.y * ratio,
+                width: t.width * ratio,
+                height: t.height * ratio,
+                fontSize: t.fontSize * ratio
+            }))
+        }));
+    }
+
     /**
      * Get total redaction count
      */
@@ -449,15 +2101,44 @@ class PDFProcessor {
     }
 
     /**
-     * Export as PDF using jsPDF
+     * Export by editing the original file: covering boxes and redaction annotations are removed,
+     * and fonts, vectors, links, and text are kept as they are
+     */
+    async exportAsVectorPdf(options = this.exportDefaults) {
+        if (!this.pdfData || this.pages.length === 0) return null;
+        
+        return this.pdfRewriter.rewrite(this.pdfData, this.pages, options);
+    }
+
+    /**
+     * Export the original file untouched except for a highlight over each redaction,
+     * with a popup note from describe(redaction) so reviewers can see what was found
+     */
+    async exportAnnotatedPdf(describe) {
+        if (!this.pdfData || this.pages.length === 0) return null;
+        
+        const result = await this.pdfRewriter.annotate(this.pdfData, this.pages, describe);
+        return {
+            blob: new Blob([result.bytes], { type: 'application/pdf' }),
+            fileName: this.fileName.replace('.pdf', '_annotated.pdf'),
+            count: result.count
+        };
+    }
+
+    /**
+     * Export as page images using jsPDF, for files the vector export can't rewrite.
+     * Pages are rendered again at the export DPI, whatever the on-screen zoom.
+     * Resolves with the document and the number of text items left out of its text layer.
      */
-    async exportAsPdf() {
-        if (this.pages.length === 0) return null;
+    async exportAsPdf(options = this.exportDefaults) {
+        const pages = this.getExportPages(options);
+        if (pages.length === 0) return null;
         
         const { jsPDF } = window.jspdf;
+        const imageType = options.imageFormat === 'png' ? 'PNG' : 'JPEG';
         
         // Get dimensions from first page
-        const firstPage = this.pages[0];
+        const firstPage = pages[0];
         const pdfWidth = firstPage.pdfWidth;
         const pdfHeight = firstPage.pdfHeight;
         
@@ -468,9 +2149,10 @@ class PDFProcessor {
             unit: 'pt',
             format: [pdfWidth, pdfHeight]
         });
+        let unsearchable = 0;
         
-        for (let i = 0; i < this.pages.length; i++) {
-            const page = this.pages[i];
+        for (let i = 0; i < pages.length; i++) {
+            const page = pages[i];
             
             if (i > 0) {
                 // Add new page with correct dimensions
@@ -478,28 +2160,141 @@ class PDFProcessor {
                     page.pdfWidth > page.pdfHeight ? 'landscape' : 'portrait');
             }
             
-            // Create a composite canvas with the whited-out image plus text
-            const exportCanvas = document.createElement('canvas');
-            exportCanvas.width = page.width;
-            exportCanvas.height = page.height;
-            const ctx = exportCanvas.getContext('2d');
+            const exportCanvas = await this.renderPageForExport(page, options);
+            const imgData = exportCanvas.toDataURL(`image/${options.imageFormat}`, options.imageQuality);
             
-            // Draw the fixed canvas (with black boxes whited out)
-            ctx.drawImage(page.fixedCanvas, 0, 0);
+            // Add image to PDF
+            pdf.addImage(imgData, imageType, 0, 0, page.pdfWidth, page.pdfHeight);
             
-            // Draw the hidden text on top
-            if (page.textContent && page.viewport && page.redactions) {
-                this.renderTextForExport(ctx, page);
+            // Keep the page searchable and selectable, recovered text included
+            if (page.textContent && page.viewport) {
+                unsearchable += this.addInvisibleText(pdf, page);
             }
             
-            // Convert canvas to image data
-            const imgData = exportCanvas.toDataURL('image/jpeg', 0.95);
-            
-            // Add image to PDF
-            pdf.addImage(imgData, 'JPEG', 0, 0, page.pdfWidth, page.pdfHeight);
+            if (options.footer) {
+                pdf.setFontSize(this.footerSize);
+                pdf.setTextColor(102);
+                pdf.text(this.getFooterText(page.pageNum), this.footerMargin, page.pdfHeight - this.footerMargin);
+            }
+        }
+        
+        return { pdf, unsearchable };
+    }
+
+    /**
+     * Pages to export, in order: the chosen page numbers, or every page
+     */
+    getExportPages(options) {
+        if (!options.pages) return this.pages;
+        
+        return this.pages.filter(page => options.pages.includes(page.pageNum));
+    }
+
+    /**
+     * Render the fixed version of a page at the export DPI: covering fills suppressed (or whited out),
+     * recovered text marked if asked, and hidden text the render doesn't show drawn over it
+     */
+    async renderPageForExport(pageData, options) {
+        const page = await this.currentPdf.getPage(pageData.pageNum);
+        const viewport = page.getViewport({ scale: options.dpi / 72 });
+        const { canvas, context: ctx, redactions } = await this.renderFixedPage(page, viewport, pageData.redactions);
+        
+        if (options.recoveredStyle !== 'none') {
+            this.markRecoveredText(ctx, redactions.filter(r => r.hiddenText.length > 0), options);
+        }
+        
+        if (pageData.textContent) {
+            this.renderTextForExport(ctx, { textContent: pageData.textContent, viewport, redactions });
+        }
+        
+        return canvas;
+    }
+
+    /**
+     * Highlight or underline each line of the boxes that hid text, on a canvas
+     */
+    markRecoveredText(ctx, redactions, options) {
+        ctx.save();
+        ctx.fillStyle = options.recoveredColor;
+        
+        // Multiply keeps the text under a highlight as dark as it was
+        if (options.recoveredStyle === 'highlight') {
+            ctx.globalCompositeOperation = 'multiply';
+        }
+        
+        for (const redaction of redactions) {
+            for (const segment of redaction.segments) {
+                if (options.recoveredStyle === 'highlight') {
+                    ctx.fillRect(segment.x, segment.y, segment.width, segment.height);
+                } else {
+                    const thickness = this.getUnderlineThickness(segment.height);
+                    ctx.fillRect(segment.x, segment.y + segment.height - thickness, segment.width, thickness);
+                }
+            }
         }
         
-        return pdf;
+        ctx.restore();
+    }
+
+    /**
+     * Underline thickness for a box line of the given height, in the same units
+     */
+    getUnderlineThickness(height) {
+        return Math.max(1, height * 0.08);
+    }
+
+    /**
+     * Footer line for a page. The standard PDF fonts only cover Latin-1, so other characters become "?".
+     */
+    getFooterText(pageNum) {
+        return `${this.fileName}, page ${pageNum} of ${this.pages.length}`.replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+    }
+    
+    /**
+     * Write every text item as invisible text (render mode 3) over the page image,
+     * stretched to the item's real width so selections line up with the picture.
+     * Returns the number of items left out because Helvetica can't encode them.
+     */
+    addInvisibleText(pdf, page) {
+        const { textContent, viewport } = page;
+        const toPoints = page.pdfWidth / page.width;
+        let skipped = 0;
+        
+        pdf.setFont('helvetica', 'normal');
+        
+        textContent.items.forEach((item) => {
+            if (!item.str || item.str.trim() === '') return;
+            
+            // jsPDF writes any other character as garbage that can't be searched for
+            if (!this.isWinAnsiText(item.str)) {
+                skipped++;
+                return;
+            }
+            
+            // Viewport space is top-left based like jsPDF's, just scaled, and already includes page rotation
+            const m = pdfjsLib.Util.transform(viewport.transform, item.transform);
+            const fontSize = Math.hypot(m[2], m[3]) * toPoints || 12;
+            const angle = Math.atan2(-m[1], m[0]) * 180 / Math.PI;
+            
+            pdf.setFontSize(fontSize);
+            const naturalWidth = pdf.getTextWidth(item.str);
+            
+            pdf.text(item.str, m[4] * toPoints, m[5] * toPoints, {
+                renderingMode: 'invisible',
+                angle: angle,
+                horizontalScale: item.width > 0 && naturalWidth > 0 ? item.width / naturalWidth : 1
+            });
+        });
+        
+        return skipped;
+    }
+
+    /**
+     * Whether every character is in WinAnsiEncoding, the only encoding of jsPDF's built-in fonts:
+     * Latin-1 plus the Windows-1252 punctuation and letters
+     */
+    isWinAnsiText(text) {
+        return /^[\x00-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]*$/.test(text);
     }
     
     /**
@@ -529,29 +2324,16 @@ class PDFProcessor {
             const canvasY = vt[3] * pdfY + vt[5];
             
             // Check if this text is within any redaction area
-            const scaledFontSize = fontSize * this.scale;
+            const scaledFontSize = fontSize * viewport.scale;
             const textTop = canvasY - scaledFontSize;
             const textBottom = canvasY;
             const textLeft = canvasX;
-            const textWidth = (item.width || (item.str.length * fontSize * 0.6)) * this.scale;
+            const textWidth = (item.width || (item.str.length * fontSize * 0.6)) * viewport.scale;
             const textRight = textLeft + textWidth;
             
-            let isInRedaction = false;
-            for (const redaction of redactions) {
-                const overlapLeft = Math.max(textLeft, redaction.x);
-                const overlapRight = Math.min(textRight, redaction.x + redaction.width);
-                const horizontalOverlap = Math.max(0, overlapRight - overlapLeft);
-                
-                const textCenterY = (textTop + textBottom) / 2;
-                const verticalInside = textCenterY >= redaction.y && textCenterY <= redaction.y + redaction.height;
-                
-                if (horizontalOverlap > textWidth * 0.3 && verticalInside) {
-                    isInRedaction = true;
-                    break;
-                }
-            }
-            
-            if (!isInRedaction) return;
+            // The fixed canvas already shows text under suppressed boxes in its real font
+            const overlaid = redactions.filter(r => !r.textRendered);
+            if (!this.findOverlayRedaction(textLeft, textRight, textTop, textBottom, overlaid)) return;
             
             // Draw the text
             ctx.font = `${scaledFontSize}px sans-serif`;
@@ -560,14 +2342,57 @@ class PDFProcessor {
     }
 
     /**
-     * Download the fixed PDF
+     * Find the redaction with a line segment over enough of a canvas-space text run to draw it on the fixed page
+     */
+    findOverlayRedaction(textLeft, textRight, textTop, textBottom, redactions) {
+        const textWidth = textRight - textLeft;
+        const textCenterY = (textTop + textBottom) / 2;
+        
+        return redactions.find(redaction => redaction.segments.some(segment => {
+            const overlapLeft = Math.max(textLeft, segment.x);
+            const overlapRight = Math.min(textRight, segment.x + segment.width);
+            const horizontalOverlap = Math.max(0, overlapRight - overlapLeft);
+            const verticalInside = textCenterY >= segment.y && textCenterY <= segment.y + segment.height;
+            
+            return horizontalOverlap > textWidth * this.settings.overlayOverlapRatio && verticalInside;
+        })) || null;
+    }
+
+    /**
+     * Build the fixed PDF, editing the original file when that removes every box and shows all the
+     * recovered text, and falling back to page images otherwise.
+     * Options override exportDefaults. Returns the file as a Blob with its name, the export method,
+     * how many boxes the file still contains, and how many text items its text layer left out.
      */
-    async downloadFixedPdf() {
-        const pdf = await this.exportAsPdf();
-        if (pdf) {
-            const fixedName = this.fileName.replace('.pdf', '_unredacted.pdf');
-            pdf.save(fixedName);
-            return fixedName;
+    async exportFixedPdf(options = {}) {
+        options = { ...this.exportDefaults, ...options };
+        const fileName = this.fileName.replace('.pdf', '_unredacted.pdf');
+        
+        let result = null;
+        try {
+            if (!options.forceRaster) {
+                result = await this.exportAsVectorPdf(options);
+            }
+        } catch (error) {
+            console.warn('Could not edit the original PDF, exporting page images instead:', error);
+        }
+        
+        // Editing the file can't take out scanned boxes or draw hidden text the page doesn't render
+        // (white or invisible text, or text under a box that had to be whited out), so page images are used instead
+        const unrendered = this.getExportPages(options).some(page =>
+            page.redactions.some(r => r.hiddenText.length > 0 && !r.textRendered));
+        if (result && (result.remaining > 0 || unrendered)) {
+            result = null;
+        }
+        
+        if (result) {
+            const blob = new Blob([result.bytes], { type: 'application/pdf' });
+            return { blob, fileName, method: 'vector', remaining: result.remaining, unsearchable: 0 };
+        }
+        
+        const raster = await this.exportAsPdf(options);
+        if (raster) {
+            return { blob: raster.pdf.output('blob'), fileName, method: 'raster', remaining: 0, unsearchable: raster.unsearchable };
         }
         return null;
     }
@@ -0,0 +1,609 @@
+/**
+ * PDF Rewriter for Blackout Breaker
+ * Edits the original PDF file to remove covering boxes and redaction annotations, keeping everything else
+ */
+
+class PdfRewriter {
+    constructor(processor) {
+        this.processor = processor;
+        this.boundsTolerance = 1.5; // PDF points a fill may stick out of a detected box
+        this.maxFormDepth = 8;      // Nested form XObjects followed before giving up
+
+        // Paint operators that fill. A matched one becomes `n`, which drops the stroke too,
+        // the same way the fixed view drops the outline of a suppressed box.
+        this.fillOperators = new Set(['f', 'F', 'f*', 'B', 'B*', 'b', 'b*']);
+
+        // Highlight notes are drawn over the still-black boxes, so they use a plain translucent fill, not multiply
+        this.highlightColor = [1, 0.85, 0];
+        this.highlightOpacity = 0.45;
+        this.noteAuthor = 'blackout breaker';
+    }
+
+    /**
+     * Copy the original file with every matched redaction box and annotation removed,
+     * applying the processor's export options (page range, recovered text marks, footer).
+     * Returns the new bytes and how many redactions were left in place.
+     */
+    async rewrite(pdfData, pages, options = this.processor.exportDefaults) {
+        const { PDFDocument, StandardFonts } = PDFLib;
+
+        // Encrypted and damaged files throw here, so the caller can fall back to page images
+        const pdfDoc = await PDFDocument.load(pdfData, { updateMetadata: false });
+        const pdfPages = pdfDoc.getPages();
+        const selected = pages.filter(pageData => !options.pages || options.pages.includes(pageData.pageNum));
+        const font = options.footer ? await pdfDoc.embedFont(StandardFonts.Helvetica) : null;
+        let remaining = 0;
+
+        selected.forEach((pageData) => {
+            const pdfPage = pdfPages[pageData.pageNum - 1];
+            if (!pdfPage) return;
+
+            const removed = new Set();
+            this.removeAnnotations(pdfPage, pageData.redactions, removed);
+
+            // Scanned boxes are part of the page image and can't be taken out of the file
+            const vectorRedactions = pageData.redactions.filter(r => r.detector !== 'raster');
+            if (vectorRedactions.length > 0) {
+                this.removeCoveringFills(pdfDoc, pdfPage, vectorRedactions, removed);
+            }
+
+            remaining += pageData.redactions.filter(r => !removed.has(r)).length;
+
+            // Drawing adds pdf-lib's own content stream, so it has to come after the page content is patched
+            if (options.recoveredStyle !== 'none') {
+                this.markRecoveredText(pdfPage, pageData, options);
+            }
+            if (options.footer) {
+                this.addFooter(pdfPage, pageData, font);
+            }
+        });
+
+        if (selected.length === pdfPages.length) {
+            return { bytes: await pdfDoc.save(), remaining };
+        }
+
+        // Copy the chosen pages into a new file, so the left-out pages' content isn't saved unreferenced.
+        // Fonts are only written on flush, so do that before copying pages that use the footer font.
+        await pdfDoc.flush();
+        const subset = await PDFDocument.create({ updateMetadata: false });
+        const copies = await subset.copyPages(pdfDoc, selected.map(pageData => pageData.pageNum - 1));
+        copies.forEach(page => subset.addPage(page));
+
+        return { bytes: await subset.save(), remaining };
+    }
+
+    /**
+     * Highlight or underline each line of the boxes that hid text. Underlines follow the page as shown,
+     * so they're placed in canvas space and converted back to PDF space.
+     */
+    markRecoveredText(pdfPage, pageData, options) {
+        const { rgb, BlendMode } = PDFLib;
+        const color = rgb(...this.parseHexColor(options.recoveredColor));
+
+        for (const redaction of pageData.redactions.filter(r => r.hiddenText.length > 0)) {
+            for (const segment of redaction.segments) {
+                let rect = segment.pdfRect;
+                if (options.recoveredStyle === 'underline') {
+                    const thickness = this.processor.getUnderlineThickness(segment.height);
+                    rect = this.processor.canvasToPdfRect(segment.x, segment.y + segment.height - thickness,
+                        segment.width, thickness, pageData.viewport);
+                }
+
+                const [left, bottom, right, top] = rect;
+                pdfPage.drawRectangle({
+                    x: left,
+                    y: bottom,
+                    width: right - left,
+                    height: top - bottom,
+                    color,
+                    // Multiply keeps the text under a highlight as dark as it was
+                    blendMode: options.recoveredStyle === 'highlight' ? BlendMode.Multiply : BlendMode.Normal
+                });
+            }
+        }
+    }
+
+    /**
+     * Stamp the file name and page number in the bottom-left corner of the page as shown, whatever its rotation
+     */
+    addFooter(pdfPage, pageData, font) {
+        const { degrees, grayscale } = PDFLib;
+        const { viewport } = pageData;
+        const margin = this.processor.footerMargin * viewport.scale;
+        const [x, y] = viewport.convertToPdfPoint(margin, viewport.height - margin);
+
+        pdfPage.drawText(this.processor.getFooterText(pageData.pageNum), {
+            x,
+            y,
+            font,
+            size: this.processor.footerSize,
+            color: grayscale(0.4),
+            rotate: degrees(viewport.rotation)
+        });
+    }
+
+    /**
+     * Convert a #rrggbb color to 0-1 components
+     */
+    parseHexColor(hex) {
+        return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    }
+
+    /**
+     * Copy the original file unchanged except for a highlight annotation over each redaction,
+     * with a popup note from describe(redaction). Returns the new bytes and the number of notes.
+     */
+    async annotate(pdfData, pages, describe) {
+        const { PDFDocument } = PDFLib;
+        const pdfDoc = await PDFDocument.load(pdfData, { updateMetadata: false });
+        const pdfPages = pdfDoc.getPages();
+        let count = 0;
+
+        pages.forEach((pageData, i) => {
+            const pdfPage = pdfPages[i];
+            if (!pdfPage) return;
+
+            for (const redaction of pageData.redactions) {
+                this.addHighlight(pdfDoc, pdfPage, redaction, describe(redaction));
+                count++;
+            }
+        });
+
+        return { bytes: await pdfDoc.save(), count };
+    }
+
+    /**
+     * Add a highlight covering each line of a redaction, and its popup note
+     */
+    addHighlight(pdfDoc, pdfPage, redaction, note) {
+        const { PDFHexString, PDFString } = PDFLib;
+        const context = pdfDoc.context;
+        const [left, bottom, right, top] = redaction.pdfRect;
+        const [r, g, b] = this.highlightColor;
+
+        // QuadPoints list each line's corners as upper-left, upper-right, lower-left, lower-right
+        const quadPoints = redaction.segments.flatMap(({ pdfRect: [l, b, r, t] }) => [l, t, r, t, l, b, r, b]);
+
+        // Not every viewer draws highlights without an appearance stream
+        const appearance = context.register(context.stream(
+            `/GS0 gs ${r} ${g} ${b} rg ` +
+            redaction.segments.map(({ pdfRect: [l, b, r, t] }) => `${l} ${b} ${r - l} ${t - b} re`).join(' ') +
+            ' f',
+            {
+                Type: 'XObject',
+                Subtype: 'Form',
+                BBox: [left, bottom, right, top],
+                Resources: { ExtGState: { GS0: { Type: 'ExtGState', ca: this.highlightOpacity } } }
+            }
+        ));
+
+        const highlightRef = context.nextRef();
+        const popupRef = context.register(context.obj({
+            Type: 'Annot',
+            Subtype: 'Popup',
+            Rect: [right, top - 120, right + 240, top],
+            Parent: highlightRef,
+            Open: false
+        }));
+
+        context.assign(highlightRef, context.obj({
+            Type: 'Annot',
+            Subtype: 'Highlight',
+            Rect: [left, bottom, right, top],
+            QuadPoints: quadPoints,
+            C: this.highlightColor,
+            CA: this.highlightOpacity,
+            F: 4, // Print
+            T: PDFHexString.fromText(this.noteAuthor),
+            Contents: PDFHexString.fromText(note),
+            M: PDFString.fromDate(new Date()),
+            Popup: popupRef,
+            AP: { N: appearance }
+        }));
+
+        pdfPage.node.addAnnot(highlightRef);
+        pdfPage.node.addAnnot(popupRef);
+    }
+
+    /**
+     * Drop the page's /Redact and /Square annotations that were detected as redactions
+     */
+    removeAnnotations(pdfPage, redactions, removed) {
+        const { PDFDict, PDFName } = PDFLib;
+        const annots = pdfPage.node.Annots();
+        if (!annots) return;
+
+        // Walk backwards so removing an entry doesn't shift the ones still to check
+        for (let i = annots.size() - 1; i >= 0; i--) {
+            const annotation = annots.lookupMaybe(i, PDFDict);
+            const subtype = annotation && annotation.lookupMaybe(PDFName.of('Subtype'), PDFName);
+            if (!subtype) continue;
+
+            const type = subtype.decodeText();
+            if (type !== 'Redact' && type !== 'Square') continue;
+
+            const rect = annotation.lookupMaybe(PDFName.of('Rect'), PDFLib.PDFArray);
+            if (!rect) continue;
+
+            const annotationRect = pdfjsLib.Util.normalizeRect(rect.asArray().map(n => n.asNumber()));
+            const redaction = redactions.find(r =>
+                r.detector === 'annotation' &&
+                r.annotationType === type &&
+                r.pdfRect.every((value, j) => Math.abs(value - annotationRect[j]) < this.boundsTolerance)
+            );
+
+            if (redaction) {
+                annots.remove(i);
+                removed.add(redaction);
+            }
+        }
+    }
+
+    /**
+     * Neutralize the fill operators that paint redaction boxes in the page's content streams
+     */
+    removeCoveringFills(pdfDoc, pdfPage, redactions, removed) {
+        const { PDFArray, PDFName, PDFRawStream } = PDFLib;
+        const contents = pdfPage.node.Contents();
+        if (!contents) return;
+
+        // A page's content can be split over several streams; operators may span the joins
+        const streams = contents instanceof PDFArray
+            ? contents.asArray().map(ref => pdfDoc.context.lookup(ref))
+            : [contents];
+        if (!streams.every(stream => stream instanceof PDFRawStream)) return;
+
+        const parts = streams.map(stream => this.readStream(stream));
+        const bytes = this.joinBytes(parts);
+
+        const resources = pdfPage.node.Resources();
+        const forms = new Map(); // XObject name -> this page's patched copy of the form
+        const changed = this.patchContent(pdfDoc, bytes, resources, [1, 0, 0, 1, 0, 0], redactions, removed, forms, 0);
+
+        // A form can be placed on other pages, or elsewhere without a box, so only this page is pointed at the copy
+        const patchedResources = this.withFormCopies(pdfDoc, resources, forms);
+        if (patchedResources) {
+            pdfPage.node.set(PDFName.of('Resources'), patchedResources);
+        }
+
+        if (changed) {
+            pdfPage.node.set(PDFName.of('Contents'), pdfDoc.context.register(pdfDoc.context.flateStream(bytes)));
+        }
+    }
+
+    /**
+     * Scan a content stream, replacing matched fill operators with `n` in place.
+     * Returns true when anything was replaced.
+     */
+    patchContent(pdfDoc, bytes, resources, baseCtm, redactions, removed, forms, depth) {
+        let state = { ctm: baseCtm, color: [0, 0, 0] };
+        const stack = [];
+        let shapes = [];
+        let current = null;
+        let changed = false;
+
+        const toUser = (x, y) => pdfjsLib.Util.applyTransform([x, y], state.ctm);
+
+        this.tokenize(bytes, (operator, operands, start, end) => {
+            const nums = operands.map(Number);
+
+            switch (operator) {
+                case 'q':
+                    stack.push(state);
+                    state = { ...state };
+                    break;
+                case 'Q':
+                    if (stack.length > 0) state = stack.pop();
+                    break;
+                case 'cm':
+                    state.ctm = pdfjsLib.Util.transform(state.ctm, nums);
+                    break;
+                case 'g':
+                    state.color = [nums[0] * 255, nums[0] * 255, nums[0] * 255];
+                    break;
+                case 'rg':
+                    state.color = nums.map(n => n * 255);
+                    break;
+                case 'k':
+                    state.color = this.cmykToRgb(nums);
+                    break;
+                case 'cs':
+                    state.color = operands[0] === '/Pattern' ? null : [0, 0, 0];
+                    break;
+                case 'sc':
+                case 'scn':
+                    // Pattern fills end in a name and are never redaction boxes
+                    if (nums.some(n => !Number.isFinite(n))) state.color = null;
+                    else if (nums.length === 1) state.color = [nums[0] * 255, nums[0] * 255, nums[0] * 255];
+                    else if (nums.length === 3) state.color = nums.map(n => n * 255);
+                    else if (nums.length === 4) state.color = this.cmykToRgb(nums);
+                    else state.color = null;
+                    break;
+                case 'm':
+                    current = { points: [toUser(nums[0], nums[1])], curved: false };
+                    shapes.push(current);
+                    break;
+                case 'l':
+                    if (!current) {
+                        current = { points: [], curved: false };
+                        shapes.push(current);
+                    }
+                    current.points.push(toUser(nums[0], nums[1]));
+                    break;
+                case 'c':
+                case 'v':
+                case 'y':
+                    if (current) current.curved = true;
+                    break;
+                case 're': {
+                    const [x, y, w, h] = nums;
+                    shapes.push({
+                        points: [toUser(x, y), toUser(x + w, y), toUser(x + w, y + h), toUser(x, y + h)],
+                        curved: false
+                    });
+                    current = null;
+                    break;
+                }
+                case 'S':
+                case 's':
+                case 'n':
+                    shapes = [];
+                    current = null;
+                    break;
+                case 'Do':
+                    this.patchForm(pdfDoc, resources, operands[0], state.ctm, redactions, removed, forms, depth);
+                    break;
+                default:
+                    if (this.fillOperators.has(operator)) {
+                        const redaction = this.matchFill(shapes, state.color, redactions);
+                        if (redaction) {
+                            // Same length replacement keeps every other byte where it was
+                            bytes[start] = 0x6E; // 'n'
+                            bytes.fill(0x20, start + 1, end);
+                            removed.add(redaction);
+                            changed = true;
+                        }
+                        shapes = [];
+                        current = null;
+                    }
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * Follow a `Do` into a form XObject and patch a copy of its content stream with the placement's transform.
+     * Copies are collected in `forms` by name and written by withFormCopies; the calling stream is left unchanged.
+     */
+    patchForm(pdfDoc, resources, name, ctm, redactions, removed, forms, depth) {
+        const { PDFDict, PDFName, PDFRawStream, PDFRef } = PDFLib;
+        if (!resources || !name || depth >= this.maxFormDepth) return;
+
+        const xObjects = resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+        const ref = xObjects && xObjects.get(PDFName.of(name.slice(1)));
+        if (!(ref instanceof PDFRef)) return;
+
+        const stream = pdfDoc.context.lookup(ref);
+        if (!(stream instanceof PDFRawStream)) return;
+
+        const subtype = stream.dict.lookupMaybe(PDFName.of('Subtype'), PDFName);
+        if (!subtype || subtype.decodeText() !== 'Form') return;
+
+        const matrix = stream.dict.lookupMaybe(PDFName.of('Matrix'), PDFLib.PDFArray);
+        const formCtm = matrix
+            ? pdfjsLib.Util.transform(ctm, matrix.asArray().map(n => n.asNumber()))
+            : ctm;
+        const formResources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+
+        // Placements under the same name in one content stream share a copy, and keep each other's patches
+        let form = forms.get(name);
+        if (!form) {
+            form = { stream, bytes: this.readStream(stream), resources: formResources, forms: new Map(), changed: false };
+            forms.set(name, form);
+        }
+
+        if (this.patchContent(pdfDoc, form.bytes, formResources, formCtm, redactions, removed, form.forms, depth + 1)) {
+            form.changed = true;
+        }
+    }
+
+    /**
+     * Register the patched copies of forms (and of forms holding patched forms) and return a copy of the
+     * resources whose XObject entries point at them, or null when nothing was patched.
+     * The original forms and resources are left as they were for their other users.
+     */
+    withFormCopies(pdfDoc, resources, forms) {
+        const { PDFDict, PDFName } = PDFLib;
+        const copies = [];
+
+        for (const [name, form] of forms) {
+            const formResources = this.withFormCopies(pdfDoc, form.resources, form.forms);
+            if (!form.changed && !formResources) continue;
+
+            copies.push([name, this.copyStream(pdfDoc, form.stream, form.bytes, formResources)]);
+        }
+        if (copies.length === 0) return null;
+
+        const xObjects = resources.lookup(PDFName.of('XObject'), PDFDict).clone();
+        for (const [name, ref] of copies) {
+            xObjects.set(PDFName.of(name.slice(1)), ref);
+        }
+
+        const copy = resources.clone();
+        copy.set(PDFName.of('XObject'), xObjects);
+        return copy;
+    }
+
+    /**
+     * Find the redaction a filled path belongs to: every sub-path must be a rectangle
+     * inside one of its line segments, in a color close to the detected fill
+     */
+    matchFill(shapes, color, redactions) {
+        if (!color || shapes.length === 0) return null;
+
+        const tolerance = this.boundsTolerance;
+        let match = null;
+
+        for (const shape of shapes) {
+            const bounds = this.processor.getRectangleBounds(shape);
+            if (!bounds) return null;
+
+            const redaction = redactions.find(r =>
+                this.processor.colorWithinTolerance(color, this.processor.parseOperatorColor([r.fillColor]), 8) &&
+                r.segments.some(({ pdfRect }) =>
+                    bounds[0] >= pdfRect[0] - tolerance &&
+                    bounds[1] >= pdfRect[1] - tolerance &&
+                    bounds[2] <= pdfRect[2] + tolerance &&
+                    bounds[3] <= pdfRect[3] + tolerance
+                )
+            );
+
+            if (!redaction || (match && match !== redaction)) return null;
+            match = redaction;
+        }
+
+        return match;
+    }
+
+    /**
+     * Walk the operators of a content stream, calling visit(operator, operands, start, end)
+     * with the byte range of the operator keyword
+     */
+    tokenize(bytes, visit) {
+        const length = bytes.length;
+        const isWhitespace = (c) => c === 0x20 || c === 0x0A || c === 0x0D || c === 0x09 || c === 0x0C || c === 0x00;
+        const isDelimiter = (c) => c === 0x28 || c === 0x29 || c === 0x3C || c === 0x3E || c === 0x5B ||
+                                   c === 0x5D || c === 0x7B || c === 0x7D || c === 0x2F || c === 0x25;
+        const readRegular = (from) => {
+            let to = from;
+            while (to < length && !isWhitespace(bytes[to]) && !isDelimiter(bytes[to])) to++;
+            return to;
+        };
+        const text = (from, to) => String.fromCharCode(...bytes.subarray(from, to));
+
+        let operands = [];
+        let i = 0;
+
+        while (i < length) {
+            const c = bytes[i];
+
+            if (isWhitespace(c)) {
+                i++;
+            } else if (c === 0x25) { // % comment
+                while (i < length && bytes[i] !== 0x0A && bytes[i] !== 0x0D) i++;
+            } else if (c === 0x28) { // (literal string), may nest and escape parentheses
+                let depth = 0;
+                do {
+                    if (bytes[i] === 0x5C) i++;
+                    else if (bytes[i] === 0x28) depth++;
+                    else if (bytes[i] === 0x29) depth--;
+                    i++;
+                } while (i < length && depth > 0);
+                operands.push('()');
+            } else if (c === 0x3C && bytes[i + 1] === 0x3C) { // << dictionary
+                operands.push('<<');
+                i += 2;
+            } else if (c === 0x3E && bytes[i + 1] === 0x3E) {
+                operands.push('>>');
+                i += 2;
+            } else if (c === 0x3C) { // <hex string>
+                while (i < length && bytes[i] !== 0x3E) i++;
+                i++;
+                operands.push('<>');
+            } else if (c === 0x5B || c === 0x5D || c === 0x7B || c === 0x7D || c === 0x29 || c === 0x3E) {
+                operands.push(String.fromCharCode(c));
+                i++;
+            } else if (c === 0x2F) { // /Name
+                const end = readRegular(i + 1);
+                operands.push(text(i, end));
+                i = end;
+            } else {
+                const end = readRegular(i);
+                const token = text(i, end);
+
+                if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token) || token === 'true' || token === 'false' || token === 'null') {
+                    operands.push(token);
+                } else if (token === 'ID') {
+                    // Inline image data is binary; skip to the EI that ends it
+                    let j = end + 1;
+                    while (j < length - 1 && !(isWhitespace(bytes[j - 1]) && bytes[j] === 0x45 && bytes[j + 1] === 0x49 &&
+                           (j + 2 >= length || isWhitespace(bytes[j + 2]) || isDelimiter(bytes[j + 2])))) j++;
+                    operands = [];
+                    i = j + 2;
+                    continue;
+                } else {
+                    visit(token, operands, i, end);
+                    operands = [];
+                }
+                i = end;
+            }
+        }
+    }
+
+    /**
+     * Decode a stream's filters and return a copy of its bytes
+     */
+    readStream(stream) {
+        return new Uint8Array(PDFLib.decodePDFRawStream(stream).decode());
+    }
+
+    /**
+     * Concatenate content stream parts, separated by a newline
+     */
+    joinBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length + 1, 0);
+        const bytes = new Uint8Array(total);
+        let offset = 0;
+
+        for (const part of parts) {
+            bytes.set(part, offset);
+            bytes[offset + part.length] = 0x0A;
+            offset += part.length + 1;
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Add a copy of a stream object with new content, keeping its dictionary (form BBox, Matrix, ...)
+     * except for the given Resources, if any. Returns the copy's reference.
+     */
+    copyStream(pdfDoc, stream, bytes, resources) {
+        const entries = {};
+        for (const [key, value] of stream.dict.entries()) {
+            const name = key.decodeText();
+            if (name !== 'Filter' && name !== 'DecodeParms' && name !== 'Length') entries[name] = value;
+        }
+        if (resources) entries.Resources = resources;
+
+        return pdfDoc.context.register(pdfDoc.context.flateStream(bytes, entries));
+    }
+
+    /**
+     * Convert CMYK to RGB with the same polynomial pdf.js renders DeviceCMYK with,
+     * so fills compare against the colors the detectors saw
+     */
+    cmykToRgb([c, m, y, k]) {
+        return [
+            255 +
+                c * (-4.387332384609988 * c + 54.48615194189176 * m + 18.82290502165302 * y + 212.25662451639585 * k - 285.2331026137004) +
+                m * (1.7149763477362134 * m - 5.6096736904047315 * y - 17.873870861415444 * k - 5.497006427196366) +
+                y * (-2.5217340131683033 * y - 21.248923337353073 * k + 17.5119270841813) +
+                k * (-21.86122147463605 * k - 189.48180835922747),
+            255 +
+                c * (8.841041422036149 * c + 60.118027045597366 * m + 6.871425592049007 * y + 31.159100130055922 * k - 79.2970844816548) +
+                m * (-15.310361306967817 * m + 17.575251261109482 * y + 131.35250912493976 * k - 190.9453302588951) +
+                y * (4.444339102852739 * y + 9.8632861493405 * k - 24.86741582555878) +
+                k * (-20.737325471181034 * k - 187.80453709719578),
+            255 +
+                c * (0.8842522430003296 * c + 8.078677503112928 * m + 30.89978309703729 * y - 0.23883238689178934 * k - 14.183576799673286) +
+                m * (10.49593273432072 * m + 63.02378494754052 * y + 50.606957656360734 * k - 112.23884253719248) +
+                y * (0.03296041114873217 * y + 115.60384449646641 * k - 193.58209356861505) +
+                k * (-22.33816807309886 * k - 180.12613974708367)
+        ].map(v => Math.max(0, Math.min(255, v)));
+    }
+}
+
+// Make available globally
+window.PdfRewriter = PdfRewriter;
@@ -0,0 +1,111 @@
+/**
+ * Page Worker for Blackout Breaker
+ * Renders pages and runs redaction detection off the main thread with OffscreenCanvas,
+ * sending each page back as soon as it is done
+ */
+
+// The shared scripts export their classes through window. Defining it first also stops
+// pdf.worker.js from taking over this worker's messages; it runs in this thread instead.
+self.window = self;
+
+importScripts(
+    '../vendor/pdfjs/pdf.min.js',
+    '../vendor/pdfjs/pdf.worker.min.js',
+    'lengthEstimator.js',
+    'pdfRewriter.js',
+    'pdfProcessor.js'
+);
+
+/**
+ * Canvases for pdf.js's own scratch drawing (masks, patterns), which would otherwise use the document
+ */
+class OffscreenCanvasFactory {
+    create(width, height) {
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+/**
+ * SVG filters (transfer functions, high contrast mode) need the document, so they are skipped here
+ */
+class NoFilterFactory {
+    addFilter() {
+        return 'none';
+    }
+
+    addHCMFilter() {
+        return 'none';
+    }
+
+    addHighlightHCMFilter() {
+        return 'none';
+    }
+
+    destroy() {}
+}
+
+self.onmessage = async (e) => {
+    const { type, data, analysisDpi, settings, fillProfiles } = e.data;
+    if (type !== 'process') return;
+
+    try {
+        const processor = new PDFProcessor();
+        processor.analysisDpi = analysisDpi;
+        processor.settings = settings;
+        processor.fillProfiles = fillProfiles;
+        // OffscreenCanvas has no toDataURL; the page makes thumbnails from the transferred images
+        processor.createThumbnail = () => null;
+
+        // Workers that can't load fonts get glyphs drawn as paths instead
+        const pdf = await pdfjsLib.getDocument({
+            data,
+            ownerDocument: self,
+            disableFontFace: !self.fonts,
+            canvasFactory: new OffscreenCanvasFactory(),
+            filterFactory: new NoFilterFactory()
+        }).promise;
+        processor.currentPdf = pdf;
+
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const { viewport, analysisViewport, recoveredImages, ...pageData } = await processor.processPage(page, i);
+
+            // Images go back as bitmaps without copying; the page rebuilds the viewport from its own copy of the file
+            const transfer = [];
+            const toBitmap = (canvas) => {
+                const bitmap = canvas.transferToImageBitmap();
+                transfer.push(bitmap);
+                return bitmap;
+            };
+
+            self.postMessage({
+                type: 'page',
+                numPages: pdf.numPages,
+                page: {
+                    ...pageData,
+                    recoveredImages: recoveredImages.map(image => ({ ...image, canvas: toBitmap(image.canvas) }))
+                }
+            }, transfer);
+
+            page.cleanup();
+        }
+
+        await pdf.destroy();
+        self.postMessage({ type: 'done' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
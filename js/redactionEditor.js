@@ -0,0 +1,265 @@
+/**
+ * Redaction Editor for Blackout Breaker
+ * Lets the user draw, move, resize, and delete redaction boxes on the original pane
+ */
+
+class RedactionEditor {
+    /**
+     * Callbacks receive rectangles in canvas pixels; each line of a multi-line redaction is edited on its own:
+     * onAdd(pageNum, rect), onUpdate(pageNum, index, segment, rect), onDelete(pageNum, index, segment)
+     */
+    constructor(viewer, callbacks) {
+        this.viewer = viewer;
+        this.callbacks = callbacks;
+        this.enabled = false;
+        this.selected = null; // { pageNum, index, segment }
+        this.drag = null;
+        this.minSize = 4; // Smaller drags are treated as clicks
+
+        this.viewer.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        window.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        window.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    }
+
+    /**
+     * Turn edit mode on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.viewer.classList.toggle('editing', enabled);
+        if (!enabled) this.select(null);
+    }
+
+    /**
+     * Add resize handles and a delete button to every highlight; call after the pane is re-rendered
+     */
+    decorate() {
+        this.viewer.querySelectorAll('.redaction-highlight').forEach(highlight => {
+            ['nw', 'ne', 'sw', 'se'].forEach(corner => {
+                const handle = document.createElement('div');
+                handle.className = `highlight-handle ${corner}`;
+                handle.dataset.corner = corner;
+                highlight.appendChild(handle);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'highlight-delete';
+            deleteBtn.title = 'Delete redaction';
+            deleteBtn.innerHTML = '<i class="fas fa-times"></i>';
+            highlight.appendChild(deleteBtn);
+        });
+
+        // Keep the selection across re-renders when the box still exists
+        if (this.selected) this.select(this.selected);
+    }
+
+    /**
+     * Select a highlight by page, page-local index, and line segment, or clear the selection
+     */
+    select(selection) {
+        this.viewer.querySelectorAll('.redaction-highlight.selected').forEach(el => el.classList.remove('selected'));
+        this.selected = null;
+        if (!selection) return;
+
+        const highlight = this.getHighlight(selection.pageNum, selection.index, selection.segment);
+        if (highlight) {
+            highlight.classList.add('selected');
+            this.selected = selection;
+        }
+    }
+
+    /**
+     * Delete the selected box, if any
+     */
+    deleteSelected() {
+        if (!this.enabled || !this.selected) return;
+
+        const { pageNum, index, segment } = this.selected;
+        this.selected = null;
+        this.callbacks.onDelete(pageNum, index, segment);
+    }
+
+    /**
+     * Find the highlight element for a page-local redaction index and line segment
+     */
+    getHighlight(pageNum, index, segment) {
+        return this.viewer.querySelector(
+            `.page-wrapper[data-page="${pageNum}"] .redaction-highlight[data-redaction-index="${index}"][data-segment-index="${segment}"]`
+        );
+    }
+
+    /**
+     * Start drawing a new box, or moving or resizing an existing one
+     */
+    onPointerDown(e) {
+        if (!this.enabled || e.button !== 0) return;
+
+        const wrapper = e.target.closest('.page-wrapper');
+        if (!wrapper) return;
+
+        const pageNum = parseInt(wrapper.dataset.page);
+        const highlight = e.target.closest('.redaction-highlight');
+
+        if (e.target.closest('.highlight-delete')) {
+            e.preventDefault();
+            this.callbacks.onDelete(pageNum, parseInt(highlight.dataset.redactionIndex), parseInt(highlight.dataset.segmentIndex));
+            this.selected = null;
+            return;
+        }
+
+        e.preventDefault();
+        const canvas = wrapper.querySelector('canvas');
+        const start = this.toCanvasPoint(e, canvas);
+
+        if (highlight) {
+            const index = parseInt(highlight.dataset.redactionIndex);
+            const segment = parseInt(highlight.dataset.segmentIndex);
+            this.select({ pageNum, index, segment });
+
+            this.drag = {
+                mode: e.target.dataset.corner ? 'resize' : 'move',
+                corner: e.target.dataset.corner,
+                pageNum,
+                index,
+                segment,
+                canvas,
+                element: highlight,
+                start,
+                origin: this.readRect(highlight, canvas),
+                rect: null
+            };
+        } else {
+            this.select(null);
+
+            // Draw a new box from the pointer position
+            const element = document.createElement('div');
+            element.className = 'redaction-highlight drawing';
+            wrapper.querySelector('.redaction-highlights').appendChild(element);
+
+            this.drag = { mode: 'draw', pageNum, canvas, element, start, rect: null };
+        }
+    }
+
+    /**
+     * Track the drag and update the box on screen
+     */
+    onPointerMove(e) {
+        if (!this.drag) return;
+
+        const { mode, corner, canvas, start, origin } = this.drag;
+        const point = this.toCanvasPoint(e, canvas);
+        const dx = point.x - start.x;
+        const dy = point.y - start.y;
+        let rect;
+
+        // A click on a box selects it; don't let pointer jitter count as a move
+        if (mode !== 'draw' && !this.drag.rect && Math.abs(dx) < 2 && Math.abs(dy) < 2) return;
+
+        if (mode === 'draw') {
+            rect = this.normalizeRect(start.x, start.y, point.x, point.y);
+        } else if (mode === 'move') {
+            rect = {
+                x: Math.max(0, Math.min(canvas.width - origin.width, origin.x + dx)),
+                y: Math.max(0, Math.min(canvas.height - origin.height, origin.y + dy)),
+                width: origin.width,
+                height: origin.height
+            };
+        } else {
+            // Move only the edges that belong to the dragged corner
+            let left = origin.x, top = origin.y;
+            let right = origin.x + origin.width, bottom = origin.y + origin.height;
+            if (corner.includes('w')) left += dx; else right += dx;
+            if (corner.includes('n')) top += dy; else bottom += dy;
+            rect = this.normalizeRect(left, top, right, bottom);
+        }
+
+        rect = this.clampRect(rect, canvas);
+        this.drag.rect = rect;
+        this.writeRect(this.drag.element, rect, canvas);
+    }
+
+    /**
+     * Finish the drag and report the edit
+     */
+    onPointerUp() {
+        if (!this.drag) return;
+
+        const { mode, pageNum, index, segment, element, rect } = this.drag;
+        this.drag = null;
+
+        const changed = rect && rect.width >= this.minSize && rect.height >= this.minSize;
+
+        if (mode === 'draw') {
+            element.remove();
+            if (changed) this.callbacks.onAdd(pageNum, rect);
+        } else if (changed) {
+            this.callbacks.onUpdate(pageNum, index, segment, rect);
+        }
+    }
+
+    /**
+     * Convert a pointer event to canvas pixels on a page
+     */
+    toCanvasPoint(e, canvas) {
+        const bounds = canvas.getBoundingClientRect();
+        const scaleX = canvas.width / (bounds.width || canvas.width);
+        const scaleY = canvas.height / (bounds.height || canvas.height);
+
+        return {
+            x: Math.max(0, Math.min(canvas.width, (e.clientX - bounds.left) * scaleX)),
+            y: Math.max(0, Math.min(canvas.height, (e.clientY - bounds.top) * scaleY))
+        };
+    }
+
+    /**
+     * Build a rectangle from two corners in any order
+     */
+    normalizeRect(x1, y1, x2, y2) {
+        return {
+            x: Math.min(x1, x2),
+            y: Math.min(y1, y2),
+            width: Math.abs(x2 - x1),
+            height: Math.abs(y2 - y1)
+        };
+    }
+
+    /**
+     * Keep a rectangle inside the page
+     */
+    clampRect(rect, canvas) {
+        const x = Math.max(0, rect.x);
+        const y = Math.max(0, rect.y);
+
+        return {
+            x,
+            y,
+            width: Math.min(canvas.width, rect.x + rect.width) - x,
+            height: Math.min(canvas.height, rect.y + rect.height) - y
+        };
+    }
+
+    /**
+     * Read a highlight's percentage position back as canvas pixels
+     */
+    readRect(element, canvas) {
+        return {
+            x: parseFloat(element.style.left) / 100 * canvas.width,
+            y: parseFloat(element.style.top) / 100 * canvas.height,
+            width: parseFloat(element.style.width) / 100 * canvas.width,
+            height: parseFloat(element.style.height) / 100 * canvas.height
+        };
+    }
+
+    /**
+     * Position a highlight in percentages, the same way the pane renders them
+     */
+    writeRect(element, rect, canvas) {
+        element.style.left = `${(rect.x / canvas.width) * 100}%`;
+        element.style.top = `${(rect.y / canvas.height) * 100}%`;
+        element.style.width = `${(rect.width / canvas.width) * 100}%`;
+        element.style.height = `${(rect.height / canvas.height) * 100}%`;
+    }
+}
+
+// Make available globally
+window.RedactionEditor = RedactionEditor;
@@ -0,0 +1,271 @@
+/**
+ * Upload Queue for Blackout Breaker
+ * Loads uploaded PDFs a few at a time and tracks each file, so files can be cancelled or
+ * retried one by one and every batch ends with a summary
+ */
+
+class UploadQueue {
+    /**
+     * run(job) loads one file and resolves with its result, or rejects (an AbortError when cancelled);
+     * it sets job.abort to stop the file mid-way and may report job.progress (0 to 1) and a job.message
+     * to show through update(job).
+     * Callbacks: onChange() whenever a job changes, onIdle(summary) when the last running file finishes
+     */
+    constructor(run, callbacks) {
+        this.run = run;
+        this.callbacks = callbacks;
+        this.storageKey = 'blackoutBreaker.uploadConcurrency';
+        this.maxConcurrency = 8;
+        this.concurrency = 2; // Files loaded at the same time; each one renders pages in its own worker
+        this.jobs = [];       // { id, file, status, progress, message, error, result, abort }
+        this.nextId = 1;
+
+        this.restore();
+    }
+
+    /**
+     * Queue files and start as many as the concurrency limit allows
+     */
+    add(files) {
+        const jobs = Array.from(files, file => ({
+            id: this.nextId++,
+            file,
+            status: 'queued', // 'queued', 'processing', 'done', 'failed', or 'cancelled'
+            progress: 0,
+            message: null,
+            error: null,
+            result: null,
+            abort: null
+        }));
+
+        this.jobs.push(...jobs);
+        this.callbacks.onChange();
+        this.pump();
+        return jobs;
+    }
+
+    /**
+     * Start queued files until the limit is reached
+     */
+    pump() {
+        while (this.countStatus('processing') < this.concurrency) {
+            const job = this.jobs.find(j => j.status === 'queued');
+            if (!job) break;
+            this.start(job);
+        }
+    }
+
+    /**
+     * Load one file and record how it ended
+     */
+    async start(job) {
+        job.status = 'processing';
+        job.progress = 0;
+        job.message = null;
+        job.error = null;
+        job.abort = null;
+        this.callbacks.onChange();
+
+        try {
+            job.result = await this.run(job);
+            job.status = 'done';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                job.status = 'cancelled';
+            } else {
+                console.error(`Error processing ${job.file.name}:`, error);
+                job.status = 'failed';
+                job.error = this.describeError(error);
+            }
+        }
+
+        job.abort = null;
+        this.callbacks.onChange();
+        this.pump();
+
+        if (this.countStatus('processing') === 0) {
+            this.callbacks.onIdle(this.getSummary());
+        }
+    }
+
+    /**
+     * Report progress on a running file
+     */
+    update(job) {
+        if (job.status === 'processing') this.callbacks.onChange();
+    }
+
+    /**
+     * Stop one file: queued files are skipped, a running one is stopped at the next page
+     */
+    cancel(id) {
+        const job = this.getJob(id);
+        if (!job) return;
+
+        if (job.status === 'queued') {
+            job.status = 'cancelled';
+            this.callbacks.onChange();
+        } else if (job.status === 'processing' && job.abort) {
+            job.abort();
+        }
+    }
+
+    /**
+     * Skip everything queued and stop everything running
+     */
+    cancelAll() {
+        const running = this.jobs.filter(j => j.status === 'processing');
+        for (const job of this.jobs) {
+            if (job.status === 'queued') job.status = 'cancelled';
+        }
+        this.callbacks.onChange();
+
+        for (const job of running) {
+            if (job.abort) job.abort();
+        }
+    }
+
+    /**
+     * Queue a failed or cancelled file again
+     */
+    retry(id) {
+        const job = this.getJob(id);
+        if (!job || (job.status !== 'failed' && job.status !== 'cancelled')) return;
+
+        job.status = 'queued';
+        job.error = null;
+        this.callbacks.onChange();
+        this.pump();
+    }
+
+    /**
+     * Queue every failed file again
+     */
+    retryFailed() {
+        for (const job of this.jobs) {
+            if (job.status === 'failed') {
+                job.status = 'queued';
+                job.error = null;
+            }
+        }
+        this.callbacks.onChange();
+        this.pump();
+    }
+
+    /**
+     * Forget files that are done, failed, or cancelled
+     */
+    clearFinished() {
+        this.jobs = this.jobs.filter(j => j.status === 'queued' || j.status === 'processing');
+        this.callbacks.onChange();
+    }
+
+    /**
+     * Change how many files load at once; takes effect as running files finish
+     */
+    setConcurrency(value) {
+        const concurrency = Math.round(Number(value));
+        if (!Number.isFinite(concurrency)) return;
+
+        this.concurrency = Math.min(this.maxConcurrency, Math.max(1, concurrency));
+        this.persist();
+        this.pump();
+    }
+
+    /**
+     * Find a job by id
+     */
+    getJob(id) {
+        return this.jobs.find(j => j.id === id) || null;
+    }
+
+    /**
+     * Number of jobs with a status
+     */
+    countStatus(status) {
+        return this.jobs.filter(j => j.status === status).length;
+    }
+
+    /**
+     * Number of files in each status
+     */
+    getSummary() {
+        return {
+            total: this.jobs.length,
+            queued: this.countStatus('queued'),
+            processing: this.countStatus('processing'),
+            done: this.countStatus('done'),
+            failed: this.countStatus('failed'),
+            cancelled: this.countStatus('cancelled')
+        };
+    }
+
+    /**
+     * Every file with its status and failure reason, as CSV. Cells a spreadsheet would run as a
+     * formula are prefixed with an apostrophe.
+     */
+    toCsv() {
+        const escape = (value) => {
+            const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = this.jobs.map(j => [
+            this.getPath(j.file),
+            j.status,
+            j.error || '',
+            j.result ? String(j.result.numPages) : '',
+            j.result ? String(j.result.redactions.length) : ''
+        ].map(escape).join(','));
+
+        return ['file,status,reason,pages,redactions', ...rows].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * A short reason a file failed to load
+     */
+    describeError(error) {
+        switch (error.name) {
+            case 'PasswordException':
+                return 'Password protected';
+            case 'InvalidPDFException':
+                return 'Not a valid PDF';
+            case 'MissingPDFException':
+                return 'File could not be read';
+            default:
+                return error.message || 'Unknown error';
+        }
+    }
+
+    /**
+     * The file's path inside an uploaded folder, or its name
+     */
+    getPath(file) {
+        return file.webkitRelativePath || file.name;
+    }
+
+    /**
+     * Remember the concurrency limit
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, String(this.concurrency));
+        } catch (error) {
+            console.warn('Could not save the upload concurrency:', error);
+        }
+    }
+
+    /**
+     * Load the last concurrency limit
+     */
+    restore() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not read the saved upload concurrency:', error);
+        }
+        if (stored !== null) this.setConcurrency(stored);
+    }
+}
+
+window.UploadQueue = UploadQueue;
@@ -0,0 +1,107 @@
+/**
+ * Workspace Store for Blackout Breaker
+ * Keeps loaded documents, their findings, and review state in IndexedDB so the workspace survives
+ * closing the tab
+ */
+
+class WorkspaceStore {
+    constructor() {
+        this.dbName = 'blackoutBreaker';
+        this.storeName = 'documents';
+        this.version = 1;
+        this.db = null;
+        this.opening = null; // Resolves with whether the database could be opened
+        this.persistRequested = false;
+    }
+
+    /**
+     * Open the database once, creating the document store on first use. Resolves with false when
+     * IndexedDB is unavailable (private browsing, blocked storage); saving and loading then do nothing.
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    // One record per document: { id, name, path, data, numPages, scale, pages, isFixed, history, dateAdded }
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The workspace is open in an older version of the app'));
+            }).then(db => {
+                this.db = db;
+                return true;
+            }, error => {
+                console.warn('Workspace storage unavailable:', error);
+                return false;
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Run one request in a transaction and resolve when the transaction has committed
+     */
+    run(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save a document record, replacing any earlier copy
+     */
+    async save(record) {
+        if (!await this.open()) return;
+        await this.run('readwrite', store => store.put(record));
+
+        // Ask once that the browser keep the workspace when space runs low, instead of clearing it
+        if (!this.persistRequested && navigator.storage && navigator.storage.persist) {
+            this.persistRequested = true;
+            navigator.storage.persist().catch(() => {});
+        }
+    }
+
+    /**
+     * Every saved document record, oldest first
+     */
+    async loadAll() {
+        if (!await this.open()) return [];
+        const records = await this.run('readonly', store => store.getAll());
+        return records.sort((a, b) => a.dateAdded - b.dateAdded);
+    }
+
+    /**
+     * Remove a document record
+     */
+    async delete(id) {
+        if (!await this.open()) return;
+        await this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Bytes used by this site and the browser's limit for it, or null when the browser can't tell
+     */
+    async getUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+window.WorkspaceStore = WorkspaceStore;
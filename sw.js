@@ -0,0 +1,71 @@
+/**
+ * Service Worker for Blackout Breaker
+ * Keeps a copy of the app so it installs and runs without a network, and refuses every
+ * request that could carry anything off the machine
+ */
+
+// Bump the version whenever one of these files changes, so installed copies pick it up
+const CACHE_NAME = 'blackout-breaker-v5';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'benchmark.html',
+    'manifest.webmanifest',
+    'favicon.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'css/style.css',
+    'js/lengthEstimator.js',
+    'js/detectionSettings.js',
+    'js/redactionEditor.js',
+    'js/pdfRewriter.js',
+    'js/findingsExporter.js',
+    'js/auditReport.js',
+    'js/pdfProcessor.js',
+    'js/pdfWorker.js',
+    'js/uploadQueue.js',
+    'js/workspaceStore.js',
+    'js/benchmark.js',
+    'js/app.js',
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/jspdf/jspdf.umd.min.js',
+    'vendor/pdf-lib/pdf-lib.min.js',
+    'vendor/jszip/jszip.min.js',
+    'vendor/fontawesome/css/fontawesome.min.css',
+    'vendor/fontawesome/css/solid.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-solid-900.ttf'
+];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (e) => {
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+
+    // The app only ever reads its own files. Anything else (another origin, or sending data
+    // anywhere, even back to the server the app came from) is refused.
+    if (new URL(request.url).origin !== self.location.origin || request.method !== 'GET') {
+        e.respondWith(Response.error());
+        return;
+    }
+
+    e.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});